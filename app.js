@@ -1,86 +1,512 @@
 // TechMart E-commerce Application
 // API Configuration - move to config file later
 const API_BASE_URL = 'http://localhost:5000/api';
+// Uploaded images are served from the API server, outside /api
+const API_ORIGIN = API_BASE_URL.replace(/\/api$/, '');
+
+// Cart items show an "only N left" note at or below this stock level
+const LOW_STOCK_THRESHOLD = 5;
+
+// How a guest cart joins the account's cart on login when both have the same item:
+// 'sum' adds the quantities, 'max' keeps the larger and 'server' keeps the account's
+const CART_MERGE_STRATEGY = 'sum';
+
+// While offline, how often to check whether the API is reachable again
+const RECONNECT_INTERVAL = 30000;
+
+// The API call for each kind of cart change. Changes made offline are kept in this
+// shape ({ type, productId, sku, quantity, name }) until they can be sent.
+const CART_CHANGE_REQUESTS = {
+    add: ({ productId, sku, quantity }) => ['/cart/add', {
+        method: 'POST',
+        body: JSON.stringify({ productId, sku, quantity })
+    }],
+    update: ({ productId, sku, quantity }) => ['/cart/update', {
+        method: 'PUT',
+        body: JSON.stringify({ productId, sku, quantity })
+    }],
+    remove: ({ productId, sku }) => [`/cart/remove/${productId}${sku ? `?sku=${encodeURIComponent(sku)}` : ''}`, {
+        method: 'DELETE'
+    }]
+};
+
+const cartLineKey = (productId, sku) => `${productId}:${sku || ''}`;
+
+// The cart as it will be once a change waiting to be sent goes through
+const applyCartChange = (cart, { type, productId, sku, quantity }) => {
+    const isLine = item => item.productId === productId && (item.sku || null) === (sku || null);
+    if (type === 'remove' || (type === 'update' && quantity <= 0)) {
+        return cart.filter(item => !isLine(item));
+    }
+
+    const line = cart.find(isLine);
+    if (!line) return [...cart, { productId, sku, quantity }];
+    return cart.map(item => (item === line
+        ? { ...item, quantity: type === 'add' ? item.quantity + quantity : quantity }
+        : item));
+};
+
+// Product filters before the shopper picks anything; null prices mean no bound
+const DEFAULT_FILTERS = {
+    search: '',
+    categories: [],
+    minPrice: null,
+    maxPrice: null,
+    minRating: null,
+    inStock: false,
+    featured: false,
+    sortBy: 'name-asc'
+};
+
+// 'history' gives clean URLs (/cart) but needs a web server that answers every path with
+// index.html. 'hash' URLs (/#/cart) work on any static host, including `npm run frontend`.
+const ROUTER_MODE = 'hash';
+
+// Filter changes this close together (typing, dragging a slider) share one history entry
+const FILTER_HISTORY_DELAY = 1000;
+
+const toNumberOrNull = (value) => {
+    if (value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// Home page filters as URL parameters, leaving out anything at its default
+const filtersToQuery = (filters, page) => {
+    const params = new URLSearchParams();
+    if (filters.search) params.set('q', filters.search);
+    filters.categories.forEach(category => params.append('category', category));
+    ['minPrice', 'maxPrice', 'minRating'].forEach(name => {
+        if (filters[name] !== null) params.set(name, filters[name]);
+    });
+    if (filters.inStock) params.set('inStock', 'true');
+    if (filters.featured) params.set('featured', 'true');
+    if (filters.sortBy !== DEFAULT_FILTERS.sortBy) params.set('sort', filters.sortBy);
+    if (page > 1) params.set('page', page);
+    return params;
+};
+
+const filtersFromQuery = (params) => {
+    const sortBy = params.get('sort');
+    const page = parseInt(params.get('page'), 10);
+    return {
+        filters: {
+            search: params.get('q') || '',
+            categories: params.getAll('category'),
+            minPrice: toNumberOrNull(params.get('minPrice')),
+            maxPrice: toNumberOrNull(params.get('maxPrice')),
+            minRating: toNumberOrNull(params.get('minRating')),
+            inStock: params.get('inStock') === 'true',
+            featured: params.get('featured') === 'true',
+            sortBy: /^[a-z]+-(asc|desc)$/.test(sortBy) ? sortBy : DEFAULT_FILTERS.sortBy
+        },
+        page: page > 0 ? page : 1
+    };
+};
+
+// Auth endpoints that must never trigger a token refresh themselves
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// API client
+// Every API call goes through sendRequest(). Each attempt gets a time limit, requests that
+// are safe to repeat are retried with exponential backoff when the network or a busy
+// server lets them down, and every failure comes back as an ApiError.
+
+// Milliseconds an attempt may take, reading the body included
+const REQUEST_TIMEOUT = 15000;
+// Image uploads and catalog imports send large bodies
+const UPLOAD_TIMEOUT = 60000;
+// Retries after the first attempt; the first waits RETRY_BASE_DELAY and each one after twice as long
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+// Sending these twice leaves the server as sending them once would
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+// Statuses that mean "try again later" rather than "this request is wrong"
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+// Typing in the search box and dragging the price sliders load products once they pause this long
+const FILTER_INPUT_DELAY = 300;
+// New products pushed by the server (an import can add hundreds) reload the listing once they stop coming
+const LIVE_RELOAD_DELAY = 1000;
+
+// A failed API call. `status` is the HTTP status, or 0 when no response arrived, and
+// `code` is the server's error code or one of the client's own:
+//   OFFLINE - the server couldn't be reached
+//   TIMEOUT - no answer in time
+//   ABORTED - cancelled by the caller, e.g. a product query replaced by a newer one
+class ApiError extends Error {
+    constructor(message, { status = 0, code = null, fields = null, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+        this.data = data;
+    }
+}
+
+const abortedError = () => new ApiError(t('api.cancelled'), { code: 'ABORTED' });
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(abortedError());
+        }, { once: true });
+    }
+});
+
+// Bodies are JSON, except successful downloads. An error page from a proxy reads as {}.
+const readBody = async (response, as) => {
+    if (as === 'blob' && response.ok) return response.blob();
+    const text = await response.text();
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return {};
+    }
+};
+
+// One try at a request, cut short after `timeout` ms or when `signal` aborts
+const attemptRequest = async (url, config, { timeout, signal, as }) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    const cancel = () => controller.abort();
+    if (signal) signal.addEventListener('abort', cancel);
+
+    try {
+        const response = await fetch(url, { ...config, signal: controller.signal });
+        return { response, data: await readBody(response, as) };
+    } catch (error) {
+        if (timedOut) throw new ApiError(t('api.timeout'), { code: 'TIMEOUT' });
+        if (signal && signal.aborted) throw abortedError();
+        // fetch only rejects when the server couldn't be reached at all
+        const offline = new ApiError(t('offline.unreachable'), { code: 'OFFLINE' });
+        offline.cause = error;
+        throw offline;
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', cancel);
+    }
+};
+
+// Resolves to { response, data } for any response the server gives up on retrying,
+// including errors; the caller decides what a status means. Idempotent requests are
+// retried by default; anything else is sent once unless `retries` says otherwise, since
+// a POST that timed out may still have gone through.
+const sendRequest = async (url, config, { timeout = REQUEST_TIMEOUT, retries, signal, as = 'json' } = {}) => {
+    const method = (config.method || 'GET').toUpperCase();
+    const maxRetries = retries !== undefined ? retries : (IDEMPOTENT_METHODS.includes(method) ? MAX_RETRIES : 0);
+
+    for (let attempt = 0; ; attempt++) {
+        if (signal && signal.aborted) throw abortedError();
+
+        let result = null;
+        let failure = null;
+        try {
+            result = await attemptRequest(url, config, { timeout, signal, as });
+        } catch (error) {
+            if (error.code === 'ABORTED') throw error;
+            failure = error;
+        }
+
+        // No point retrying while the browser knows it has no network
+        const retryable = failure
+            ? failure.code === 'TIMEOUT' || (failure.code === 'OFFLINE' && navigator.onLine)
+            : RETRY_STATUSES.includes(result.response.status);
+        if (!retryable || attempt >= maxRetries) {
+            if (failure) throw failure;
+            return result;
+        }
+
+        // Jittered so clients that failed together don't all come back at once
+        await wait(RETRY_BASE_DELAY * 2 ** attempt * (0.5 + Math.random() / 2), signal);
+    }
+};
+
+// Calls `fn` once calls have stopped coming for `delay` ms
+const debounce = (fn, delay) => {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), delay);
+    };
+};
+
+// Product modal inputs for each field the server can reject
+const PRODUCT_FORM_FIELDS = {
+    name: 'productName',
+    category: 'productCategory',
+    price: 'productPrice',
+    description: 'productDescription',
+    translations: 'productTranslations',
+    stock: 'productStock',
+    sku: 'productSku',
+    options: 'productOptions',
+    variants: 'productVariants'
+};
+
+// Escape user-written text before putting it into a template
+const escapeHtml = (text = '') => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Variant helpers mirror backend/variants.js
+const findVariant = (product, sku) => (product.variants || []).find(v => v.sku === sku) || null;
+
+const unitPrice = (product, variant) => {
+    return variant && variant.price !== null && variant.price !== undefined ? variant.price : product.price;
+};
+
+const describeVariant = (variant) => variant
+    ? Object.entries(variant.options).map(([name, value]) => `${name}: ${value}`).join(', ')
+    : '';
+
+// A product's primary photo, or its icon when it has none
+const renderProductImage = (product, size = 'card') => {
+    const image = product.images && product.images[0];
+    return image
+        ? `<img class="product-photo" src="${API_ORIGIN}${image.urls[size]}" alt="${escapeHtml(image.alt)}" loading="lazy">`
+        : `<span class="icon-${product.image}"></span>`;
+};
+
+// Money in the shopper's language, e.g. "$1,299.00", "1299,00 €" or "¥150".
+// Amounts come from the API with the currency they are in.
+const moneyFormats = new Map();
+const formatMoney = (amount, currency) => {
+    if (!currency) return amount.toFixed(2);
+    const key = `${getActiveLocale()}:${currency}`;
+    if (!moneyFormats.has(key)) {
+        moneyFormats.set(key, new Intl.NumberFormat(getActiveLocale(), { style: 'currency', currency }));
+    }
+    return moneyFormats.get(key).format(amount);
+};
+
+const renderStars = (rating) => {
+    const full = Math.floor(rating);
+    return `${'★'.repeat(full)}${'☆'.repeat(5 - full)}`;
+};
 
 // Main application state manager
 // NOTE: Consider using Redux or similar for larger apps
 class AppState {
     constructor() {
         this.currentUser = null;
+        this.sessionPending = false; // while a stored token is being checked
         this.products = [];
         this.cart = [];
+        this.serverCart = []; // the cart as last loaded, before any changes waiting to be sent
+        this.cartSummary = null; // totals always come from the server
+        // Cart changes made while offline, oldest first, sent when the connection is back
+        this.cartQueue = JSON.parse(localStorage.getItem('techmart_cart_queue') || '[]');
+        this.replayPromise = null;
+        // Cart lines whose price changed while in the cart: cartLineKey -> { from, to, currency }
+        this.priceChanges = new Map();
+        this.liveUpdates = null; // EventSource for catalog changes pushed by the server
+        this.online = true; // until a request fails or the browser says otherwise
+        this.reconnectTimer = null;
+        this.guestCartId = localStorage.getItem('techmart_guest_cart');
+        this.regions = [];
+        this.region = localStorage.getItem('techmart_region');
+        this.currencies = [];
+        this.baseCurrency = null;
+        this.currency = localStorage.getItem('techmart_currency'); // null shows the base currency
+        this.priceCurrency = null; // the currency the product listing and its facets are in
+        // UI language; product text comes from the API in it where it has been translated
+        this.locale = setActiveLocale(localStorage.getItem('techmart_locale') || browserLocale());
+        this.contentLocales = null; // { default, locales } products can be written in
+        this.orders = [];
+        this.reviewProductId = null;
         this.currentPage = 1;
         this.itemsPerPage = 12; // TODO: make this configurable
         this.pagination = null;
-        this.filters = {
-            search: '',
-            categories: [],
-            minPrice: 0,
-            maxPrice: 3000, 
-            sortBy: 'name-asc'
-        };
+        this.productsRequest = null; // AbortController for the product query in flight
+        this.filters = { ...DEFAULT_FILTERS, categories: [] };
+        this.facets = null;
+        this.currentProduct = null; // the product on the product page
+        this.pendingImport = null; // { format, content } of the file being imported
+        this.lastFilterPush = 0;
         this.apiToken = localStorage.getItem('techmart_token');
+        this.refreshToken = localStorage.getItem('techmart_refresh_token');
+        this.refreshPromise = null;
+        this.resetToken = null;
         this.init();
     }
 
     init() {
         console.log('🚀 Starting TechMart...');
-        this.loadUserSession();
-        this.loadProducts();
-        this.loadCart();
+        translatePage();
+        this.renderLocaleOptions();
+        this.sessionReady = this.loadUserSession();
+        this.loadRegions();
+        // Live updates come in the shopper's currency, which has to be checked first
+        this.loadCurrencies().then(() => this.connectLiveUpdates());
+        this.loadContentLocales();
+        // Whose cart to load depends on who is signed in
+        this.sessionReady.then(() => this.loadCart()).then(() => this.replayCartChanges());
         this.setupEventListeners();
+        if (!navigator.onLine) {
+            this.setOnline(false);
+        }
+        // Caches the page and the last product listing for offline visits
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js')
+                .catch(error => console.error('Service worker registration failed:', error));
+        }
+        // Filters come from the URL, so it is read before the first product load. Products
+        // are loaded here whatever the page, since the cart and admin pages use them too.
         this.setupRouting();
+        this.loadProducts();
         this.renderCurrentPage();
         console.log('✅ App ready!');
     }
 
     // Helper function for API calls
-    // TODO: Add retry logic for failed requests
-    async apiRequest(endpoint, options = {}) {
+    // Besides fetch's own options these take `timeout` (ms per attempt), `retries`, a
+    // `signal` to cancel with and `as: 'blob'` for downloads; see sendRequest(). An
+    // expired access token is refreshed once and the request retried.
+    async apiRequest(endpoint, options = {}, allowRefresh = true) {
+        const { data } = await this.apiFetch(endpoint, options, allowRefresh);
+        return data;
+    }
+
+    // apiRequest() with the response as well, for its headers
+    async apiFetch(endpoint, options = {}, allowRefresh = true) {
+        const { timeout, retries, signal, as, ...fetchOptions } = options;
         const url = `${API_BASE_URL}${endpoint}`;
+        // The browser sets the multipart boundary itself for uploads
+        const isUpload = fetchOptions.body instanceof FormData;
         const config = {
+            ...fetchOptions,
             headers: {
-                'Content-Type': 'application/json',
-                ...options.headers
-            },
-            ...options
+                ...(isUpload ? {} : { 'Content-Type': 'application/json' }),
+                ...fetchOptions.headers
+            }
         };
 
         if (this.apiToken) {
             config.headers['Authorization'] = `Bearer ${this.apiToken}`;
         }
+        // Prices come back converted; a currency the store no longer offers falls back to the base
+        if (this.currency) {
+            config.headers['X-Currency'] = this.currency;
+        }
+        // Product names and descriptions come back translated where the store has them
+        config.headers['Accept-Language'] = this.locale;
 
         try {
-            const response = await fetch(url, config);
-            const data = await response.json();
+            const { response, data } = await sendRequest(url, config, { timeout, retries, signal, as });
+            // The service worker answers from its cache when the API is unreachable
+            this.setOnline(response.headers.get('X-Served-From') !== 'cache');
+
+            if (response.status === 401 && allowRefresh && this.refreshToken &&
+                !NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+                if (await this.refreshSession()) {
+                    return this.apiFetch(endpoint, options, false);
+                }
+            }
 
             if (!response.ok) {
-                throw new Error(data.error || 'API request failed');
+                throw new ApiError(data.error || t('api.failed'), {
+                    status: response.status,
+                    code: data.code,
+                    fields: data.fields,
+                    data
+                });
             }
 
-            return data;
+            return { response, data };
         } catch (error) {
-            console.error('API Error:', error);
+            // A cancelled request was replaced by a newer one, so there is nothing to report
+            if (error.code !== 'ABORTED') {
+                console.error('API Error:', error);
+            }
+            if (error.code === 'OFFLINE') {
+                this.setOnline(false);
+            }
             throw error;
         }
     }
 
+    // Only one refresh runs at a time; concurrent 401s wait for the same one
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.apiRequest('/auth/refresh', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            }, false)
+                .then(data => {
+                    this.setSession(data);
+                    return true;
+                })
+                .catch(error => {
+                    console.error('Session refresh failed:', error);
+                    // Losing the connection doesn't end the session
+                    if (error.code === 'OFFLINE') return false;
+                    this.clearSession();
+                    this.cart = [];
+                    this.updateAuthUI();
+                    this.updateCartCount();
+                    this.showToast(t('auth.sessionExpired'), 'info');
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    setSession({ token, refreshToken, user }) {
+        this.apiToken = token;
+        this.refreshToken = refreshToken;
+        localStorage.setItem('techmart_token', token);
+        localStorage.setItem('techmart_refresh_token', refreshToken);
+        if (user) {
+            this.currentUser = user;
+        }
+    }
+
+    clearSession() {
+        localStorage.removeItem('techmart_token');
+        localStorage.removeItem('techmart_refresh_token');
+        this.apiToken = null;
+        this.refreshToken = null;
+        this.currentUser = null;
+    }
+
     // Load products from API
     async loadProducts() {
         console.log('🔄 Starting loadProducts...');
+        // A newer query replaces one still loading, so an older, slower answer can't
+        // overwrite its results
+        if (this.productsRequest) {
+            this.productsRequest.abort();
+        }
+        const request = new AbortController();
+        this.productsRequest = request;
+
         try {
             const params = new URLSearchParams({
                 page: this.currentPage,
                 limit: this.itemsPerPage,
-                search: this.filters.search,
-                minPrice: this.filters.minPrice,
-                maxPrice: this.filters.maxPrice
+                search: this.filters.search
             });
 
-            // Add category filter if selected
-            if (this.filters.categories.length > 0) {
-                params.append('category', this.filters.categories[0]);
-            }
+            // Only send the filters that are set
+            this.filters.categories.forEach(category => params.append('category', category));
+            ['minPrice', 'maxPrice', 'minRating'].forEach(name => {
+                if (this.filters[name] !== null) params.append(name, this.filters[name]);
+            });
+            if (this.filters.inStock) params.append('inStock', 'true');
+            if (this.filters.featured) params.append('featured', 'true');
 
             // Parse sort option (format: "field-direction")
             const sortParts = this.filters.sortBy.split('-');
@@ -88,7 +514,10 @@ class AppState {
             params.append('sortOrder', sortParts[1]);
 
             console.log('Loading products...');
-            const data = await this.apiRequest(`/products?${params}`);
+            if (this.currentRoute === '/') {
+                this.updateFilterUrl();
+            }
+            const data = await this.apiRequest(`/products?${params}`, { signal: request.signal });
 
             // Map products and fix ID field for frontend
             this.products = data.products.map(product => ({
@@ -97,20 +526,33 @@ class AppState {
             }));
             console.log(`Loaded ${this.products.length} products`);
             this.pagination = data.pagination;
+            this.facets = data.facets;
+            this.priceCurrency = data.currency;
 
             this.renderProducts();
-            this.renderCategoryFilters();
+            this.renderFacetFilters();
         } catch (error) {
+            if (error.code === 'ABORTED') return;
             console.error('❌ Error loading products:', error);
-            this.showToast('Failed to load products', 'error');
+            // Offline, keep showing what was last loaded
+            if (error.code === 'OFFLINE' && this.products.length > 0) {
+                this.showToast(t('offline.productsNotUpdated'), 'info');
+                return;
+            }
+            this.showToast(t('products.loadFailed'), 'error');
             // Fallback to empty products array
             this.products = [];
             this.renderProducts();
+        } finally {
+            if (this.productsRequest === request) {
+                this.productsRequest = null;
+            }
         }
     }
 
     async loadUserSession() {
         if (this.apiToken) {
+            this.sessionPending = true;
             try {
                 const data = await this.apiRequest('/auth/me');
                 this.currentUser = {
@@ -119,398 +561,1339 @@ class AppState {
                     lastName: data.user.lastName
                 };
                 this.updateAuthUI();
+                this.applyUserCurrency();
             } catch (error) {
                 console.error('Error loading user session:', error);
-                localStorage.removeItem('techmart_token');
-                this.apiToken = null;
-                this.currentUser = null;
+                // Offline, the session is checked again once the connection is back
+                if (error.code === 'OFFLINE') return;
+                this.clearSession();
                 this.updateAuthUI();
+            } finally {
+                this.sessionPending = false;
             }
         }
     }
 
+    // Until their email is verified, signed-in users shop with a guest cart like everyone else
+    hasServerCart() {
+        return Boolean(this.apiToken && this.currentUser && this.currentUser.emailVerified);
+    }
+
+    setGuestCartId(guestCartId) {
+        this.guestCartId = guestCartId;
+        if (guestCartId) {
+            localStorage.setItem('techmart_guest_cart', guestCartId);
+        } else {
+            localStorage.removeItem('techmart_guest_cart');
+        }
+    }
+
+    // Cart calls go to the account's cart or, for guests, to their anonymous cart on the
+    // server. Guests get one the first time they need it, and a new one if theirs expired.
+    async cartRequest(endpoint, options = {}, retry = true) {
+        if (this.hasServerCart()) {
+            return this.apiRequest(endpoint, options);
+        }
+
+        if (!this.guestCartId) {
+            const data = await this.apiRequest('/cart/guest', {
+                method: 'POST',
+                body: JSON.stringify({ region: this.region })
+            });
+            this.setGuestCartId(data.guestCartId);
+        }
+
+        try {
+            return await this.apiRequest(endpoint, {
+                ...options,
+                headers: { ...options.headers, 'X-Guest-Cart': this.guestCartId }
+            });
+        } catch (error) {
+            if (error.code !== 'GUEST_CART_NOT_FOUND' || !retry) throw error;
+            this.setGuestCartId(null);
+            return this.cartRequest(endpoint, options, false);
+        }
+    }
+
     async loadCart() {
-        if (this.apiToken && this.currentUser) {
+        // Guests who haven't added anything yet have no cart to load
+        if (!this.hasServerCart() && !this.guestCartId) {
+            this.serverCart = [];
+            this.cartSummary = null;
+        } else {
             try {
-                const data = await this.apiRequest('/cart');
-                this.cart = this.convertCartFormat(data.items);
+                const data = await this.cartRequest('/cart');
+                this.serverCart = this.convertCartFormat(data.items);
+                this.cartSummary = data.summary;
             } catch (error) {
                 console.error('Error loading cart:', error);
-                this.cart = [];
+                // Offline, the cart stays as it was last loaded
+                if (error.code !== 'OFFLINE') {
+                    this.serverCart = [];
+                    this.cartSummary = null;
+                }
             }
-        } else {
-            // Load from localStorage for non-authenticated users
-            const storedCart = localStorage.getItem('techmart_cart');
-            this.cart = storedCart ? JSON.parse(storedCart) : [];
         }
+        // Changes that haven't been sent yet still show in the cart
+        this.cart = this.cartQueue.reduce(applyCartChange, this.serverCart);
         this.updateCartCount();
     }
 
-    // Convert API cart format to frontend format
-    convertCartFormat(apiItems) {
-        return apiItems.map(item => ({
-            productId: item.productId._id,
-            quantity: item.quantity,
-            addedAt: item.addedAt
-        }));
+    // Offline or not, shoppers can keep changing their cart. Changes that can't be sent
+    // are queued, shown in the cart straight away and sent in order once the API answers
+    // again; see replayCartChanges().
+    setOnline(online) {
+        if (online === this.online) return;
+        this.online = online;
+        this.renderConnectionStatus();
+
+        clearInterval(this.reconnectTimer);
+        this.reconnectTimer = online ? null : setInterval(() => this.checkConnection(), RECONNECT_INTERVAL);
+
+        if (online) {
+            // A session that couldn't be checked offline is checked before the cart is touched
+            if (this.apiToken && !this.currentUser) {
+                this.sessionReady = this.loadUserSession();
+                // Pages that needed the session were showing it as unavailable
+                if (['/orders', '/admin'].includes(this.currentRoute)) {
+                    this.sessionReady.then(() => this.renderCurrentPage());
+                }
+            }
+            this.replayCartChanges();
+        }
     }
 
-    saveCart() {
-        if (!this.apiToken) {
-            // Save to localStorage for non-authenticated users
-            localStorage.setItem('techmart_cart', JSON.stringify(this.cart));
+    // Any answer from the API itself - not the service worker's cache - brings the app back online
+    async checkConnection() {
+        try {
+            await this.apiRequest('/locales', { retries: 0 });
+        } catch (error) {
+            // Still offline
         }
-        this.updateCartCount();
     }
 
-    updateCartCount() {
-        const count = this.cart.reduce((sum, item) => sum + item.quantity, 0);
-        document.getElementById('cartCount').textContent = count;
+    renderConnectionStatus() {
+        document.getElementById('offlineBanner').classList.toggle('hidden', this.online);
+        if (this.currentRoute === '/cart') {
+            this.updateCartSummary();
+        }
     }
 
-    // Authentication Methods
-    async login(email, password) {
-        try {
-            const data = await this.apiRequest('/auth/login', {
-                method: 'POST',
-                body: JSON.stringify({ email, password })
-            });
-
-            this.apiToken = data.token;
-            localStorage.setItem('techmart_token', data.token);
-            this.currentUser = data.user;
-            this.updateAuthUI();
-            this.showToast('Login successful!', 'success');
+    saveCartQueue() {
+        if (this.cartQueue.length > 0) {
+            localStorage.setItem('techmart_cart_queue', JSON.stringify(this.cartQueue));
+        } else {
+            localStorage.removeItem('techmart_cart_queue');
+        }
+    }
 
-            // Migrate localStorage cart to server
-            if (this.cart.length > 0) {
-                await this.migrateCartToServer();
+    // Sends a cart change, or queues it if the API can't be reached. Changes made while
+    // others are still queued wait their turn so they reach the server in order.
+    // Resolves to 'sent' or 'queued'; errors from the server are thrown as usual.
+    async sendCartChange(change) {
+        if (this.online && this.cartQueue.length === 0) {
+            try {
+                await this.cartRequest(...CART_CHANGE_REQUESTS[change.type](change));
+                return 'sent';
+            } catch (error) {
+                if (error.code !== 'OFFLINE') throw error;
             }
+        }
 
-            await this.loadCart();
-            this.navigateTo('/');
-            return true;
-        } catch (error) {
-            console.error('Login error:', error);
-            this.showToast(error.message || 'Login failed', 'error');
-            return false;
+        this.cartQueue.push({ ...change, queuedAt: new Date().toISOString() });
+        this.saveCartQueue();
+        this.cart = applyCartChange(this.cart, change);
+        this.updateCartCount();
+        if (this.currentRoute === '/cart') {
+            this.renderCart();
         }
+        return 'queued';
     }
 
-    async signup(userData) {
-        try {
-            const data = await this.apiRequest('/auth/register', {
-                method: 'POST',
-                body: JSON.stringify(userData)
+    // Only one replay runs at a time
+    replayCartChanges() {
+        if (!this.replayPromise) {
+            this.replayPromise = this.sendQueuedCartChanges().finally(() => {
+                this.replayPromise = null;
             });
-
-            this.apiToken = data.token;
-            localStorage.setItem('techmart_token', data.token);
-            this.currentUser = data.user;
-            this.updateAuthUI();
-            this.showToast('Account created successfully!', 'success');
-
-            // Migrate localStorage cart to server
-            if (this.cart.length > 0) {
-                await this.migrateCartToServer();
-            }
-
-            await this.loadCart();
-            this.navigateTo('/');
-            return true;
-        } catch (error) {
-            console.error('Signup error:', error);
-            this.showToast(error.message || 'Registration failed', 'error');
-            return false;
         }
+        return this.replayPromise;
     }
 
-    async migrateCartToServer() {
-        for (const item of this.cart) {
+    // Queued changes are sent oldest first. One the server turns down - the item sold
+    // out or was removed meanwhile - is dropped and reported as a conflict; losing the
+    // connection again stops the replay and keeps the rest for later.
+    async sendQueuedCartChanges() {
+        await this.sessionReady;
+        if (this.cartQueue.length === 0) return;
+
+        let sent = 0;
+        const conflicts = [];
+        while (this.cartQueue.length > 0) {
+            const change = this.cartQueue[0];
             try {
-                await this.apiRequest('/cart/add', {
-                    method: 'POST',
-                    body: JSON.stringify({
-                        productId: item.productId,
-                        quantity: item.quantity
-                    })
-                });
+                await this.cartRequest(...CART_CHANGE_REQUESTS[change.type](change));
+                sent++;
             } catch (error) {
-                console.error('Error migrating cart item:', error);
+                if (error.code === 'OFFLINE') break;
+                conflicts.push({ ...change, reason: error.message });
             }
+            this.cartQueue.shift();
+            this.saveCartQueue();
         }
-        // Clear localStorage cart after migration
-        localStorage.removeItem('techmart_cart');
-    }
 
-    logout() {
-        localStorage.removeItem('techmart_token');
-        this.apiToken = null;
-        this.currentUser = null;
-        this.cart = [];
-        this.updateAuthUI();
-        this.updateCartCount();
-        this.showToast('Logged out successfully', 'info');
-        this.navigateTo('/');
+        await this.loadCart();
+        if (this.currentRoute === '/cart') {
+            this.renderCart();
+        }
+        this.showCartReplayReport(sent, conflicts);
     }
 
-    updateAuthUI() {
-        const loginBtn = document.getElementById('loginBtn');
-        const signupBtn = document.getElementById('signupBtn');
-        const userMenu = document.getElementById('userMenu');
-        const userName = document.getElementById('userName');
-        const adminLink = document.getElementById('adminLink');
+    showCartReplayReport(sent, conflicts) {
+        if (sent > 0) {
+            this.showToast(t('offline.cartSynced', { count: sent }), 'success');
+        }
+        if (conflicts.length > 0) {
+            const notes = conflicts.map(change => t(`offline.conflict.${change.type}`, { name: change.name, reason: change.reason }));
+            this.showToast(t('offline.cartConflicts', { count: conflicts.length, notes: notes.join('; ') }), 'error');
+        }
+    }
 
-        if (this.currentUser) {
-            loginBtn.style.display = 'none';
-            signupBtn.style.display = 'none';
-            userMenu.style.display = 'flex';
-            userName.textContent = `${this.currentUser.firstName} ${this.currentUser.lastName}`;
+    // Live updates
+    // The server pushes catalog changes (see backend/live.js) and open pages are patched
+    // in place rather than reloaded. Products arrive in the shopper's currency and
+    // language, so the connection is reopened when either changes.
+    connectLiveUpdates() {
+        if (typeof EventSource === 'undefined') return;
+        if (this.liveUpdates) {
+            this.liveUpdates.close();
+        }
 
-            if (this.currentUser.role === 'admin') {
-                adminLink.style.display = 'block';
-            } else {
-                adminLink.style.display = 'none';
-            }
-        } else {
-            loginBtn.style.display = 'block';
-            signupBtn.style.display = 'block';
-            userMenu.style.display = 'none';
-            adminLink.style.display = 'none';
+        const params = new URLSearchParams({ lang: this.locale });
+        if (this.currency) {
+            params.set('currency', this.currency);
         }
-    }
+        const source = new EventSource(`${API_BASE_URL}/events?${params}`);
+        this.liveUpdates = source;
 
-    // Product Management
-    getProducts() {
-        return [...this.products];
+        // Nothing sent while the connection was down is replayed, so catch up once it's back
+        let dropped = false;
+        source.addEventListener('error', () => {
+            dropped = true;
+        });
+        source.addEventListener('open', () => {
+            if (!dropped) return;
+            dropped = false;
+            this.loadProducts();
+            this.loadCart();
+        });
+
+        const reloadProducts = debounce(() => this.loadProducts(), LIVE_RELOAD_DELAY);
+        const on = (type, handler) => source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+        // Only the server knows where a new product falls in the filtered, paged listing
+        on('product.created', () => reloadProducts());
+        on('product.updated', ({ product }) => this.applyProductUpdate({ ...product, id: product._id }));
+        on('product.deleted', ({ productId }) => this.applyProductDeletion(productId));
+        on('stock.changed', (change) => this.applyStockChange(change));
     }
 
-    getFilteredProducts() {
-        let filtered = [...this.products];
+    // A product as it is now, wherever it is shown: the listing, the product page, the
+    // admin table and the cart
+    applyProductUpdate(product) {
+        const merge = (existing) => ({
+            ...existing,
+            ...product,
+            // Search highlights are only kept while the text they mark is unchanged
+            highlights: existing.name === product.name && existing.description === product.description
+                ? existing.highlights
+                : undefined
+        });
 
-        // Search filter
-        if (this.filters.search) {
-            const searchTerm = this.filters.search.toLowerCase();
-            filtered = filtered.filter(product =>
-                product.name.toLowerCase().includes(searchTerm) ||
-                product.description.toLowerCase().includes(searchTerm) ||
-                product.category.toLowerCase().includes(searchTerm)
-            );
+        this.notePriceChanges(product);
+        this.products = this.products.map(p => (p.id === product.id ? merge(p) : p));
+        if (this.currentProduct && this.currentProduct.id === product.id) {
+            this.currentProduct = merge(this.currentProduct);
         }
+        this.cart = this.cart.map(item => (item.productId === product.id && item.product
+            ? { ...item, product: merge(item.product) }
+            : item));
+        this.refreshProductViews(product.id);
+    }
+
+    // Stock changes when someone else orders; variant stock is patched SKU by SKU
+    applyStockChange({ productId, stock, variants }) {
+        const patch = (product) => ({
+            ...product,
+            stock,
+            variants: (product.variants || []).map(variant => {
+                const changed = variants.find(v => v.sku === variant.sku);
+                return changed ? { ...variant, stock: changed.stock } : variant;
+            })
+        });
 
-        // Category filter
-        if (this.filters.categories.length > 0) {
-            filtered = filtered.filter(product =>
-                this.filters.categories.includes(product.category)
-            );
+        this.products = this.products.map(p => (p.id === productId ? patch(p) : p));
+        if (this.currentProduct && this.currentProduct.id === productId) {
+            this.currentProduct = patch(this.currentProduct);
         }
+        this.refreshProductViews(productId);
+    }
 
-        // Price filter
-        filtered = filtered.filter(product =>
-            product.price >= this.filters.minPrice && product.price <= this.filters.maxPrice
-        );
+    applyProductDeletion(productId) {
+        this.products = this.products.filter(p => p.id !== productId);
+        const onProductPage = this.currentProduct && this.currentProduct.id === productId;
+        if (onProductPage) {
+            this.currentProduct = null;
+        }
+        this.refreshProductViews(productId);
+        // The product page shows that it's gone
+        if (onProductPage && this.currentRoute === `/product/${productId}`) {
+            this.loadProductDetail(productId);
+        }
+    }
 
-        // Sort
-        const [sortBy, order] = this.filters.sortBy.split('-');
-        filtered.sort((a, b) => {
-            let aVal = a[sortBy];
-            let bVal = b[sortBy];
+    // Cart lines of a product whose price just changed get a notice until the order is
+    // placed. A price that goes back to what it was clears the notice.
+    notePriceChanges(product) {
+        this.getCartItems()
+            .filter(item => item.productId === product.id)
+            .forEach(item => {
+                const key = cartLineKey(item.productId, item.sku);
+                const price = unitPrice(product, findVariant(product, item.sku));
+                const from = this.priceChanges.has(key) ? this.priceChanges.get(key).from : item.price;
+                if (price === from) {
+                    this.priceChanges.delete(key);
+                } else if (price !== item.price) {
+                    this.priceChanges.set(key, { from, to: price, currency: product.currency });
+                    this.showToast(t('cart.priceChangedToast', { name: item.product.name, price: formatMoney(price, product.currency) }), 'info');
+                }
+            });
+    }
 
-            if (typeof aVal === 'string') {
-                aVal = aVal.toLowerCase();
-                bVal = bVal.toLowerCase();
-            }
+    // Redraws whatever is showing a product that just changed
+    refreshProductViews(productId) {
+        if (this.currentRoute === '/') {
+            this.renderProducts();
+        } else if (this.currentRoute === '/admin') {
+            this.renderAdminProducts();
+        } else if (this.currentRoute === `/product/${productId}` && this.currentProduct) {
+            this.renderProductDetail();
+        }
 
-            if (order === 'desc') {
-                return bVal > aVal ? 1 : -1;
-            } else {
-                return aVal > bVal ? 1 : -1;
-            }
-        });
+        // Totals and what's left to add come from the server
+        if (this.cart.some(item => item.productId === productId)) {
+            this.loadCart().then(() => {
+                if (this.currentRoute === '/cart') {
+                    this.renderCart();
+                }
+            });
+        }
+    }
 
-        return filtered;
+    // Signing in moves a guest cart into the account's cart. The report says what
+    // was added, what stock cut short and what had to be left out.
+    showCartMergeReport({ merged, dropped }) {
+        const units = merged.reduce((sum, line) => sum + line.quantity - line.serverQuantity, 0);
+        const notes = [
+            ...merged.filter(line => line.limitedByStock).map(line => t('cartMerge.limited', { count: line.quantity, name: line.name })),
+            ...dropped.filter(line => line.reason !== 'KEPT_SERVER').map(line => t(`cartMerge.dropped.${line.reason}`, { name: line.name }))
+        ];
+
+        if (units > 0) {
+            this.showToast(t('cartMerge.added', { count: units }), 'success');
+        }
+        if (notes.length > 0) {
+            this.showToast(t('cartMerge.notKept', { notes: notes.join('; ') }), 'info');
+        }
     }
 
-    async addProduct(productData) {
+    // For sign-ins that don't go through the login form, such as verifying an email address
+    async mergeGuestCart() {
+        if (!this.guestCartId) return;
+
         try {
-            const data = await this.apiRequest('/products', {
+            const data = await this.apiRequest('/cart/merge', {
                 method: 'POST',
-                body: JSON.stringify(productData)
+                body: JSON.stringify({ guestCartId: this.guestCartId, strategy: CART_MERGE_STRATEGY })
             });
-
-            this.showToast('Product added successfully!', 'success');
-            await this.loadProducts();
-            return data;
+            this.showCartMergeReport(data.report);
         } catch (error) {
-            console.error('Add product error:', error);
-            this.showToast(error.message || 'Failed to add product', 'error');
-            return null;
+            console.error('Merge cart error:', error);
         }
+        // Merged or gone - either way it isn't this browser's cart any more
+        this.setGuestCartId(null);
     }
 
-    async updateProduct(id, productData) {
+    async loadRegions() {
         try {
-            const data = await this.apiRequest(`/products/${id}`, {
-                method: 'PUT',
-                body: JSON.stringify(productData)
-            });
-
-            this.showToast('Product updated successfully!', 'success');
-            await this.loadProducts();
-            return data;
+            const data = await this.apiRequest('/pricing/regions');
+            this.regions = data.regions;
+            if (!this.region) {
+                this.region = data.defaultRegion;
+            }
+            this.renderRegionOptions();
         } catch (error) {
-            console.error('Update product error:', error);
-            this.showToast(error.message || 'Failed to update product', 'error');
-            return null;
+            console.error('Error loading regions:', error);
         }
     }
 
-    async deleteProduct(id) {
+    async loadCurrencies() {
         try {
-            await this.apiRequest(`/products/${id}`, {
-                method: 'DELETE'
-            });
-
-            this.showToast('Product deleted successfully!', 'success');
-            await this.loadProducts();
-            return true;
+            const data = await this.apiRequest('/currencies');
+            this.currencies = data.currencies;
+            this.baseCurrency = data.base;
+            if (this.currency && !this.currencies.some(currency => currency.code === this.currency)) {
+                this.currency = null;
+                localStorage.removeItem('techmart_currency');
+            }
+            this.renderCurrencyOptions();
         } catch (error) {
-            console.error('Delete product error:', error);
-            this.showToast(error.message || 'Failed to delete product', 'error');
-            return false;
+            console.error('Error loading currencies:', error);
         }
     }
 
-    // Cart Management
-    async addToCart(productId, quantity = 1) {
-        const product = this.products.find(p => p.id === productId);
-        if (!product) return false;
+    renderCurrencyOptions() {
+        const selected = this.currency || this.baseCurrency;
+        document.getElementById('currencySelect').innerHTML = this.currencies.map(currency => `
+            <option value="${currency.code}" ${currency.code === selected ? 'selected' : ''}>${currency.code}</option>
+        `).join('');
+        // Admin forms take prices in the base currency
+        document.querySelectorAll('.base-currency').forEach(label => {
+            label.textContent = this.baseCurrency;
+        });
+    }
+
+    // Signed-in shoppers see prices in the currency saved on their account
+    applyUserCurrency() {
+        const saved = this.currentUser && this.currentUser.currency;
+        if (saved && saved !== this.currency) {
+            this.setCurrency(saved, { save: false });
+        }
+    }
 
-        if (this.apiToken && this.currentUser) {
+    async setCurrency(currency, { save = true } = {}) {
+        this.currency = currency;
+        localStorage.setItem('techmart_currency', currency);
+        this.renderCurrencyOptions();
+
+        if (save && this.currentUser) {
             try {
-                await this.apiRequest('/cart/add', {
-                    method: 'POST',
-                    body: JSON.stringify({ productId, quantity })
+                const data = await this.apiRequest('/auth/me/preferences', {
+                    method: 'PUT',
+                    body: JSON.stringify({ currency })
                 });
-
-                await this.loadCart();
-                this.showToast(`${product.name} added to cart!`, 'success');
-                return true;
+                this.currentUser = { ...this.currentUser, currency: data.user.currency };
             } catch (error) {
-                console.error('Add to cart error:', error);
-                this.showToast(error.message || 'Failed to add to cart', 'error');
-                return false;
+                console.error('Save currency error:', error);
             }
-        } else {
-            // For non-authenticated users, use localStorage
-            const existingItem = this.cart.find(item => item.productId === productId);
-            if (existingItem) {
-                existingItem.quantity += quantity;
-            } else {
-                this.cart.push({
-                    productId,
-                    quantity,
-                    addedAt: Date.now()
-                });
+        }
+
+        // Price bounds picked in the old currency would filter the wrong products
+        this.filters.minPrice = null;
+        this.filters.maxPrice = null;
+        this.priceChanges.clear();
+        this.connectLiveUpdates();
+        await Promise.all([this.loadProducts(), this.loadCart()]);
+        // The home page was redrawn with the products; anything else shows prices of its own
+        if (this.currentRoute !== '/') {
+            this.renderCurrentPage();
+        }
+    }
+
+    renderLocaleOptions() {
+        document.getElementById('localeSelect').innerHTML = availableLocales().map(locale => `
+            <option value="${locale.code}" ${locale.code === this.locale ? 'selected' : ''}>${locale.name}</option>
+        `).join('');
+    }
+
+    // Languages the store has product text in, for the product form
+    async loadContentLocales() {
+        try {
+            this.contentLocales = await this.apiRequest('/locales');
+        } catch (error) {
+            console.error('Error loading locales:', error);
+        }
+    }
+
+    // Everything on screen is redrawn in the new language, with product text fetched again
+    async setLocale(locale) {
+        this.locale = setActiveLocale(locale);
+        localStorage.setItem('techmart_locale', this.locale);
+        translatePage();
+        this.renderLocaleOptions();
+        this.connectLiveUpdates();
+
+        await this.loadProducts();
+        if (this.currentRoute !== '/') {
+            this.renderCurrentPage();
+        }
+        if (this.reviewProductId) {
+            this.loadReviews(this.reviewProductId);
+        }
+    }
+
+    async setRegion(region) {
+        this.region = region;
+        localStorage.setItem('techmart_region', region);
+
+        // A guest cart created later starts in this region
+        if (!this.hasServerCart() && !this.guestCartId) return;
+
+        try {
+            const data = await this.cartRequest('/cart/region', {
+                method: 'PUT',
+                body: JSON.stringify({ region })
+            });
+            this.cartSummary = data.summary;
+            this.updateCartSummary();
+        } catch (error) {
+            console.error('Set region error:', error);
+            this.showToast(error.message || t('cart.regionFailed'), 'error');
+        }
+    }
+
+    // Convert API cart format to frontend format. Each line keeps the product as the
+    // server sent it, for products that aren't in the current listing.
+    convertCartFormat(apiItems) {
+        return apiItems.map(item => ({
+            productId: item.productId._id,
+            product: item.productId.name ? { ...item.productId, id: item.productId._id } : null,
+            sku: item.sku,
+            quantity: item.quantity,
+            addedAt: item.addedAt,
+            available: item.available
+        }));
+    }
+
+    updateCartCount() {
+        const count = this.cart.reduce((sum, item) => sum + item.quantity, 0);
+        document.getElementById('cartCount').textContent = count;
+    }
+
+    // Authentication Methods
+    async login(email, password) {
+        try {
+            // The guest cart is merged into the account's cart as part of the login
+            const data = await this.apiRequest('/auth/login', {
+                method: 'POST',
+                body: JSON.stringify({ email, password, guestCartId: this.guestCartId, cartMerge: CART_MERGE_STRATEGY })
+            });
+
+            this.setSession(data);
+            this.updateAuthUI();
+            this.applyUserCurrency();
+            this.showToast(t('auth.loginSuccess'), 'success');
+
+            if (data.cartMerge) {
+                this.setGuestCartId(null);
+                this.showCartMergeReport(data.cartMerge);
             }
 
-            this.saveCart();
-            this.showToast(`${product.name} added to cart!`, 'success');
+            await this.loadCart();
+            this.navigateTo('/');
             return true;
+        } catch (error) {
+            console.error('Login error:', error);
+            this.showToast(error.message || t('auth.loginFailed'), 'error');
+            return false;
         }
     }
 
-    async removeFromCart(productId) {
-        if (this.apiToken && this.currentUser) {
-            try {
-                await this.apiRequest(`/cart/remove/${productId}`, {
-                    method: 'DELETE'
-                });
+    async signup(userData) {
+        try {
+            const data = await this.apiRequest('/auth/register', {
+                method: 'POST',
+                body: JSON.stringify(userData)
+            });
+
+            this.setSession(data);
+            this.updateAuthUI();
+            this.showToast(t('auth.accountCreated'), 'success');
+
+            // New accounts keep their guest cart until the email is verified
+            await this.loadCart();
+            this.navigateTo('/');
+            return true;
+        } catch (error) {
+            console.error('Signup error:', error);
+            this.showToast(error.message || t('auth.registerFailed'), 'error');
+            return false;
+        }
+    }
+
+    async verifyEmail(token) {
+        try {
+            const data = await this.apiRequest('/auth/verify-email', {
+                method: 'POST',
+                body: JSON.stringify({ token })
+            });
+
+            this.showToast(t('auth.emailVerified'), 'success');
 
+            // If this browser is signed in as that user, their guest cart joins the account's now
+            if (this.currentUser && this.currentUser.id === data.user.id) {
+                this.currentUser = { ...this.currentUser, emailVerified: true };
+                this.updateAuthUI();
+                await this.mergeGuestCart();
                 await this.loadCart();
-                const product = this.products.find(p => p.id === productId);
-                this.showToast(`${product?.name} removed from cart`, 'info');
-                return true;
-            } catch (error) {
-                console.error('Remove from cart error:', error);
-                this.showToast(error.message || 'Failed to remove from cart', 'error');
-                return false;
+            }
+            return true;
+        } catch (error) {
+            console.error('Verify email error:', error);
+            this.showToast(error.message || t('auth.verifyFailed'), 'error');
+            return false;
+        }
+    }
+
+    async resendVerification() {
+        try {
+            await this.apiRequest('/auth/resend-verification', {
+                method: 'POST'
+            });
+
+            this.showToast(t('auth.verificationSent', { email: this.currentUser.email }), 'success');
+        } catch (error) {
+            console.error('Resend verification error:', error);
+            this.showToast(error.message || t('auth.verificationFailed'), 'error');
+        }
+    }
+
+    async requestPasswordReset(email) {
+        try {
+            await this.apiRequest('/auth/forgot-password', {
+                method: 'POST',
+                body: JSON.stringify({ email })
+            });
+
+            document.getElementById('forgotPasswordMessage').textContent = t('auth.resetLinkSent');
+            return true;
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            this.showToast(error.message || t('auth.resetLinkFailed'), 'error');
+            return false;
+        }
+    }
+
+    async resetPassword(password) {
+        const resetError = document.getElementById('resetPasswordError');
+        resetError.textContent = '';
+
+        try {
+            await this.apiRequest('/auth/reset-password', {
+                method: 'POST',
+                body: JSON.stringify({ token: this.resetToken, password })
+            });
+
+            this.resetToken = null;
+            // The reset ended every session, including this browser's
+            if (this.currentUser) {
+                this.clearSession();
+                this.cart = [];
+                this.updateAuthUI();
+                this.updateCartCount();
+            }
+            this.showToast(t('auth.passwordUpdated'), 'success');
+            this.navigateTo('/login');
+            return true;
+        } catch (error) {
+            console.error('Reset password error:', error);
+            resetError.textContent = error.message || t('auth.resetFailed');
+            return false;
+        }
+    }
+
+    async logout() {
+        // Revoke the session server-side so the tokens stop working now, not when they expire
+        try {
+            await this.apiRequest('/auth/logout', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+
+        this.clearSession();
+        this.orders = [];
+        // Unsent changes were to the account's cart, not the guest cart
+        this.cartQueue = [];
+        this.saveCartQueue();
+        this.updateAuthUI();
+        // Back to this browser's guest cart, if it still has one
+        await this.loadCart();
+        this.showToast(t('auth.loggedOut'), 'info');
+        this.navigateTo('/');
+    }
+
+    updateAuthUI() {
+        const loginBtn = document.getElementById('loginBtn');
+        const signupBtn = document.getElementById('signupBtn');
+        const userMenu = document.getElementById('userMenu');
+        const userName = document.getElementById('userName');
+        const adminLink = document.getElementById('adminLink');
+        const ordersLink = document.getElementById('ordersLink');
+        const verifyBanner = document.getElementById('verifyBanner');
+
+        verifyBanner.classList.toggle('hidden', !this.currentUser || this.currentUser.emailVerified);
+
+        if (this.currentUser) {
+            document.getElementById('verifyEmailAddress').textContent = this.currentUser.email;
+            loginBtn.style.display = 'none';
+            signupBtn.style.display = 'none';
+            userMenu.style.display = 'flex';
+            ordersLink.style.display = 'block';
+            userName.textContent = `${this.currentUser.firstName} ${this.currentUser.lastName}`;
+
+            if (this.currentUser.role === 'admin') {
+                adminLink.style.display = 'block';
+            } else {
+                adminLink.style.display = 'none';
             }
         } else {
-            // For non-authenticated users, use localStorage
-            const index = this.cart.findIndex(item => item.productId === productId);
-            if (index !== -1) {
-                const product = this.products.find(p => p.id === productId);
-                this.cart.splice(index, 1);
-                this.saveCart();
-                this.showToast(`${product?.name} removed from cart`, 'info');
-                return true;
+            loginBtn.style.display = 'block';
+            signupBtn.style.display = 'block';
+            userMenu.style.display = 'none';
+            adminLink.style.display = 'none';
+            ordersLink.style.display = 'none';
+        }
+    }
+
+    // Product Management
+    getProducts() {
+        return [...this.products];
+    }
+
+    getFilteredProducts() {
+        // Search and filters are applied on the server, so only the page's order is left to do
+        const filtered = [...this.products];
+
+        // Sort - relevance order comes from the server
+        const [sortBy, order] = this.filters.sortBy.split('-');
+        if (sortBy === 'relevance') return filtered;
+
+        filtered.sort((a, b) => {
+            let aVal = a[sortBy];
+            let bVal = b[sortBy];
+
+            if (typeof aVal === 'string') {
+                aVal = aVal.toLowerCase();
+                bVal = bVal.toLowerCase();
             }
+
+            if (order === 'desc') {
+                return bVal > aVal ? 1 : -1;
+            } else {
+                return aVal > bVal ? 1 : -1;
+            }
+        });
+
+        return filtered;
+    }
+
+    async addProduct(productData) {
+        try {
+            const data = await this.apiRequest('/products', {
+                method: 'POST',
+                body: JSON.stringify(productData)
+            });
+
+            this.showToast(t('admin.products.added'), 'success');
+            await this.loadProducts();
+            return data;
+        } catch (error) {
+            console.error('Add product error:', error);
+            this.showProductFieldErrors(error.fields);
+            this.showToast(error.message || t('admin.products.addFailed'), 'error');
+            return null;
+        }
+    }
+
+    async updateProduct(id, productData) {
+        try {
+            const data = await this.apiRequest(`/products/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(productData)
+            });
+
+            this.showToast(t('admin.products.updated'), 'success');
+            await this.loadProducts();
+            return data;
+        } catch (error) {
+            console.error('Update product error:', error);
+            this.showProductFieldErrors(error.fields);
+            this.showToast(error.message || t('admin.products.updateFailed'), 'error');
+            return null;
+        }
+    }
+
+    async deleteProduct(id) {
+        try {
+            await this.apiRequest(`/products/${id}`, {
+                method: 'DELETE'
+            });
+
+            this.showToast(t('admin.products.deleted'), 'success');
+            await this.loadProducts();
+            return true;
+        } catch (error) {
+            console.error('Delete product error:', error);
+            this.showToast(error.message || t('admin.products.deleteFailed'), 'error');
             return false;
         }
     }
 
-    async updateCartQuantity(productId, quantity) {
-        if (this.apiToken && this.currentUser) {
-            try {
-                await this.apiRequest('/cart/update', {
-                    method: 'PUT',
-                    body: JSON.stringify({ productId, quantity })
-                });
+    // Products on the current listing page, or the one open on the product page
+    getProduct(productId) {
+        const product = this.products.find(p => p.id === productId);
+        if (product) return product;
+        return this.currentProduct && this.currentProduct.id === productId ? this.currentProduct : null;
+    }
 
-                await this.loadCart();
+    // Cart Management
+    // Cart lines are keyed by product and, for products with options, the variant's SKU
+    findCartItem(productId, sku = null) {
+        return this.cart.find(item => item.productId === productId && (item.sku || null) === sku);
+    }
+
+    // Cart lines report what is left after other shoppers' reservations; otherwise go by the stock
+    getAvailableStock(productId, sku = null) {
+        const item = this.findCartItem(productId, sku);
+        if (item && item.available !== undefined) return item.available;
+
+        const product = this.getProduct(productId);
+        if (!product) return 0;
+
+        const variant = findVariant(product, sku);
+        return variant ? variant.stock : product.stock;
+    }
+
+    getLineName(productId, sku = null) {
+        const product = this.getProduct(productId);
+        if (!product) return t('cart.thisProduct');
+
+        const variant = findVariant(product, sku);
+        return variant ? `${product.name} (${describeVariant(variant)})` : product.name;
+    }
+
+    showStockLimit(productId, sku = null) {
+        const available = this.getAvailableStock(productId, sku);
+        const name = this.getLineName(productId, sku);
+        this.showToast(available > 0 ? t('cart.onlyLeftOf', { count: available, name }) : t('cart.outOfStock', { name }), 'error');
+    }
+
+    async addToCart(productId, quantity = 1, sku = null) {
+        const product = this.getProduct(productId);
+        if (!product) return false;
+
+        const inCart = this.findCartItem(productId, sku);
+        if ((inCart ? inCart.quantity : 0) + quantity > this.getAvailableStock(productId, sku)) {
+            this.showStockLimit(productId, sku);
+            return false;
+        }
+
+        const name = this.getLineName(productId, sku);
+
+        try {
+            const result = await this.sendCartChange({ type: 'add', productId, sku, quantity, name });
+            if (result === 'queued') {
+                this.showToast(t('offline.cartQueued', { name }), 'info');
                 return true;
-            } catch (error) {
-                console.error('Update cart quantity error:', error);
-                this.showToast(error.message || 'Failed to update quantity', 'error');
-                return false;
             }
-        } else {
-            // For non-authenticated users, use localStorage
-            const item = this.cart.find(item => item.productId === productId);
-            if (item) {
-                if (quantity <= 0) {
-                    return this.removeFromCart(productId);
-                } else {
-                    item.quantity = quantity;
-                    this.saveCart();
-                }
+
+            await this.loadCart();
+            this.showToast(t('cart.added', { name }), 'success');
+            return true;
+        } catch (error) {
+            console.error('Add to cart error:', error);
+            this.showToast(error.message || t('cart.addFailed'), 'error');
+            await this.loadCart();
+            return false;
+        }
+    }
+
+    async removeFromCart(productId, sku = null) {
+        const name = this.getLineName(productId, sku);
+
+        try {
+            const result = await this.sendCartChange({ type: 'remove', productId, sku, name });
+            if (result === 'queued') {
+                this.showToast(t('offline.cartQueued', { name }), 'info');
                 return true;
             }
+
+            await this.loadCart();
+            this.showToast(t('cart.removed', { name }), 'info');
+            return true;
+        } catch (error) {
+            console.error('Remove from cart error:', error);
+            this.showToast(error.message || t('cart.removeFailed'), 'error');
+            return false;
+        }
+    }
+
+    async updateCartQuantity(productId, quantity, sku = null) {
+        // Lowering a quantity is always allowed, even if stock dropped below it
+        const currentItem = this.findCartItem(productId, sku);
+        const increasing = !currentItem || quantity > currentItem.quantity;
+        if (increasing && quantity > this.getAvailableStock(productId, sku)) {
+            this.showStockLimit(productId, sku);
+            return false;
+        }
+
+        try {
+            const name = this.getLineName(productId, sku);
+            const result = await this.sendCartChange({ type: 'update', productId, sku, quantity, name });
+            if (result === 'sent') {
+                await this.loadCart();
+            }
+            return true;
+        } catch (error) {
+            console.error('Update cart quantity error:', error);
+            this.showToast(error.message || t('cart.updateFailed'), 'error');
+            // Pick up the latest stock so the controls reflect it
+            await this.loadCart();
+            this.renderCart();
+            return false;
+        }
+    }
+
+    getCartItems() {
+        return this.cart.map(item => {
+            const product = this.getProduct(item.productId) || item.product;
+            const variant = product ? findVariant(product, item.sku) : null;
+            return {
+                ...item,
+                product,
+                variant,
+                price: product ? unitPrice(product, variant) : 0
+            };
+        }).filter(item => item.product);
+    }
+
+    async applyCoupon(code) {
+        const couponError = document.getElementById('couponError');
+        couponError.textContent = '';
+
+        try {
+            const data = await this.cartRequest('/cart/coupon', {
+                method: 'POST',
+                body: JSON.stringify({ code })
+            });
+
+            await this.loadCart();
+            this.showToast(t('cart.couponApplied', { code: data.summary.coupon.code }), 'success');
+            this.renderCart();
+            return true;
+        } catch (error) {
+            console.error('Apply coupon error:', error);
+            couponError.textContent = error.message || t('cart.couponFailed');
+            return false;
+        }
+    }
+
+    async removeCoupon() {
+        try {
+            await this.cartRequest('/cart/coupon', {
+                method: 'DELETE'
+            });
+
+            await this.loadCart();
+            this.renderCart();
+        } catch (error) {
+            console.error('Remove coupon error:', error);
+            this.showToast(error.message || t('cart.couponRemoveFailed'), 'error');
+        }
+    }
+
+    async clearCart() {
+        if (!this.hasServerCart() && !this.guestCartId) return;
+
+        try {
+            await this.cartRequest('/cart/clear', {
+                method: 'DELETE'
+            });
+
+            await this.loadCart();
+        } catch (error) {
+            console.error('Clear cart error:', error);
+        }
+    }
+
+    // Order Management
+    async placeOrder() {
+        try {
+            const order = await this.apiRequest('/orders', {
+                method: 'POST'
+            });
+
+            this.showToast(t('orders.placed', { id: order.id }), 'success');
+            this.priceChanges.clear();
+            await this.loadCart();
+            this.navigateTo('/orders');
+            return order;
+        } catch (error) {
+            console.error('Place order error:', error);
+            this.showToast(error.message || t('orders.placeFailed'), 'error');
+            // Stock may have changed under us, so refresh what the cart shows
+            await this.loadProducts();
+            return null;
+        }
+    }
+
+    async loadOrders() {
+        try {
+            this.orders = await this.apiRequest('/orders');
+        } catch (error) {
+            console.error('Error loading orders:', error);
+            this.orders = [];
+        }
+        this.renderOrders();
+    }
+
+    // Reviews
+    async showReviewsModal(productId) {
+        const product = this.getProduct(productId);
+        this.reviewProductId = productId;
+
+        document.getElementById('reviewsTitle').textContent = product ? t('reviews.titleFor', { name: product.name }) : t('reviews.title');
+        document.getElementById('reviewForm').reset();
+        document.getElementById('reviewForm').style.display = this.currentUser ? 'block' : 'none';
+        document.getElementById('reviewLogin').style.display = this.currentUser ? 'none' : 'block';
+        document.getElementById('reviewsModal').classList.remove('hidden');
+
+        await this.loadReviews(productId);
+    }
+
+    hideReviewsModal() {
+        this.reviewProductId = null;
+        document.getElementById('reviewsModal').classList.add('hidden');
+    }
+
+    async loadReviews(productId) {
+        try {
+            const data = await this.apiRequest(`/products/${productId}/reviews`);
+            this.renderReviews(data);
+        } catch (error) {
+            console.error('Error loading reviews:', error);
+            this.showToast(t('reviews.loadFailed'), 'error');
+        }
+    }
+
+    renderReviews({ reviews, rating, reviewCount }) {
+        document.getElementById('reviewsSummary').innerHTML = reviewCount
+            ? `<span class="stars">${renderStars(rating)}</span> ${t('reviews.summary', { rating, count: reviewCount })}`
+            : t('reviews.beFirst');
+
+        // Pre-fill the form with the user's own review so they can edit it
+        const ownReview = this.currentUser && reviews.find(r => r.userId === this.currentUser.id);
+        if (ownReview) {
+            document.getElementById('reviewRating').value = ownReview.rating;
+            document.getElementById('reviewText').value = ownReview.text;
+        }
+
+        document.getElementById('reviewsList').innerHTML = reviews.map(review => `
+            <div class="review">
+                <div class="review__header">
+                    <span class="stars">${renderStars(review.rating)}</span>
+                    <strong>${escapeHtml(review.authorName)}</strong>
+                    <small>${formatDate(review.updatedAt || review.createdAt)}</small>
+                </div>
+                ${review.text ? `<p class="review__text">${escapeHtml(review.text)}</p>` : ''}
+            </div>
+        `).join('');
+    }
+
+    async submitReview(productId, rating, text) {
+        try {
+            await this.apiRequest(`/products/${productId}/reviews`, {
+                method: 'POST',
+                body: JSON.stringify({ rating, text })
+            });
+
+            this.showToast(t('reviews.thanks'), 'success');
+            await this.loadReviews(productId);
+            await this.loadProducts();
+            if (this.currentRoute === `/product/${productId}`) {
+                await this.loadProductDetail(productId);
+            }
+            return true;
+        } catch (error) {
+            console.error('Submit review error:', error);
+            this.showToast(error.message || t('reviews.submitFailed'), 'error');
+            return false;
+        }
+    }
+
+    async loadAdminReviews() {
+        try {
+            const reviews = await this.apiRequest('/admin/reviews');
+            this.renderAdminReviews(reviews);
+        } catch (error) {
+            console.error('Error loading reviews:', error);
+        }
+    }
+
+    renderAdminReviews(reviews) {
+        const tbody = document.getElementById('adminReviewsBody');
+
+        if (reviews.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="6">${t('admin.reviews.empty')}</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = reviews.map(review => `
+            <tr class="${review.hidden ? 'review--hidden' : ''}">
+                <td>${review.productName ? escapeHtml(review.productName) : t('admin.reviews.deletedProduct')}</td>
+                <td>${escapeHtml(review.authorName)}</td>
+                <td>${renderStars(review.rating)}</td>
+                <td>${escapeHtml(review.text)}</td>
+                <td>${review.hidden ? t('admin.reviews.hidden') : t('admin.reviews.visible')}</td>
+                <td class="admin-actions">
+                    <button class="btn btn--sm btn--outline moderate-review-btn" data-review-id="${review.id}"
+                            data-hidden="${!review.hidden}">${review.hidden ? t('admin.reviews.show') : t('admin.reviews.hide')}</button>
+                    <button class="btn btn--sm btn--outline delete-review-btn" data-review-id="${review.id}">${t('common.delete')}</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Catalog-wide numbers come from the server; this.products is only one page
+    async loadAdminStats() {
+        try {
+            const stats = await this.apiRequest('/admin/stats');
+            this.renderAdminStats(stats);
+        } catch (error) {
+            console.error('Error loading stats:', error);
+        }
+    }
+
+    renderAdminStats({ currency, catalog, stock, categories, carts }) {
+        document.getElementById('totalProducts').textContent = catalog.products;
+        document.getElementById('totalCategories').textContent = catalog.categories;
+        document.getElementById('totalValue').textContent = formatMoney(catalog.inventoryValue, currency);
+        document.getElementById('lowStockCount').textContent = stock.lowStock;
+        document.getElementById('outOfStockCount').textContent = stock.outOfStock;
+        document.getElementById('activeCarts').textContent = carts.active;
+        document.getElementById('itemsInCarts').textContent = carts.units;
+
+        // One bar per category, scaled to the most valuable
+        const highest = Math.max(1, ...categories.map(category => category.inventoryValue));
+        document.getElementById('categoryValueChart').innerHTML = categories.map(category => `
+            <div class="bar-chart__row" title="${t('admin.stats.categoryProducts', { count: category.products })}, ${t('admin.stats.categoryUnits', { count: category.units })}">
+                <span class="bar-chart__label">${escapeHtml(category.name)}</span>
+                <div class="bar-chart__track">
+                    <div class="bar-chart__bar" style="width: ${(category.inventoryValue / highest) * 100}%"></div>
+                </div>
+                <span class="bar-chart__value">${formatMoney(category.inventoryValue, currency)}</span>
+            </div>
+        `).join('') || `<p class="form-help">${t('admin.stats.noProducts')}</p>`;
+
+        // In stock, low and out of stock as shares of one bar
+        const segments = [
+            { label: t('admin.stats.inStock'), count: stock.inStock, modifier: 'ok' },
+            { label: t('admin.stats.low', { count: stock.lowStockThreshold }), count: stock.lowStock, modifier: 'low' },
+            { label: t('admin.stats.outOfStock'), count: stock.outOfStock, modifier: 'out' }
+        ];
+        document.getElementById('stockHealthChart').innerHTML = `
+            <div class="stock-health">
+                ${segments.filter(segment => segment.count > 0).map(segment => `
+                    <div class="stock-health__segment stock-health__segment--${segment.modifier}"
+                         style="flex-grow: ${segment.count}" title="${segment.label}: ${segment.count}"></div>
+                `).join('')}
+            </div>
+            <div class="stock-health__legend">
+                ${segments.map(segment => `
+                    <span><i class="stock-health__swatch stock-health__segment--${segment.modifier}"></i>${segment.label}: ${segment.count}</span>
+                `).join('')}
+            </div>
+        `;
+
+        document.getElementById('runningLowList').innerHTML = stock.runningLow.map(item => `
+            <li>
+                <span>${escapeHtml(item.name)}</span>
+                <strong class="${item.stock === 0 ? 'running-low__out' : ''}">${item.stock === 0 ? t('admin.stats.out') : t('admin.stats.left', { count: item.stock })}</strong>
+            </li>
+        `).join('') || `<li>${t('admin.stats.wellStocked')}</li>`;
+    }
+
+    // Admin activity (audit log)
+    showAdminTab(tab) {
+        document.querySelectorAll('.admin-tab').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-admin-tab') === tab);
+        });
+        document.getElementById('adminCatalogTab').classList.toggle('hidden', tab !== 'catalog');
+        document.getElementById('adminActivityTab').classList.toggle('hidden', tab !== 'activity');
+
+        if (tab === 'activity') {
+            this.loadAuditLog();
+        }
+    }
+
+    async loadAuditLog(page = 1) {
+        const params = new URLSearchParams({ page, limit: 25 });
+        const filters = {
+            entity: document.getElementById('auditEntity').value,
+            actor: document.getElementById('auditActor').value.trim(),
+            from: document.getElementById('auditFrom').value,
+            to: document.getElementById('auditTo').value
+        };
+        Object.entries(filters).forEach(([name, value]) => {
+            if (value) params.set(name, value);
+        });
+
+        try {
+            const data = await this.apiRequest(`/admin/audit?${params}`);
+            this.renderAuditLog(data);
+        } catch (error) {
+            console.error('Error loading activity:', error);
+            this.showToast(error.message || t('admin.activity.loadFailed'), 'error');
+        }
+    }
+
+    renderAuditLog({ entries, pagination }) {
+        const tbody = document.getElementById('auditBody');
+        const formatValue = (value) => {
+            if (value === null) return `<em>${t('admin.activity.none')}</em>`;
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return escapeHtml(text.length > 80 ? `${text.slice(0, 80)}…` : text);
+        };
+        const describeChanges = (changes) => Object.entries(changes).map(([field, change]) => change.redacted
+            ? `<div><strong>${escapeHtml(field)}</strong> ${t('admin.activity.changed')}</div>`
+            : `<div><strong>${escapeHtml(field)}</strong>: ${formatValue(change.from)} → ${formatValue(change.to)}</div>`
+        ).join('');
+
+        tbody.innerHTML = entries.length === 0
+            ? `<tr><td colspan="5">${t('admin.activity.empty')}</td></tr>`
+            : entries.map(entry => {
+                const fields = Object.keys(entry.changes);
+                // Creates and deletes list every field, so they start folded away
+                const changes = fields.length > 3
+                    ? `<details><summary>${t('admin.activity.fields', { count: fields.length })}</summary>${describeChanges(entry.changes)}</details>`
+                    : describeChanges(entry.changes) || '-';
+                return `
+                    <tr>
+                        <td>${formatDateTime(entry.at)}</td>
+                        <td>${entry.actor ? escapeHtml(entry.actor.email) : t('admin.activity.system')}</td>
+                        <td><code>${escapeHtml(entry.action)}</code></td>
+                        <td>${escapeHtml(entry.entity.label)} <small>(${escapeHtml(entry.entity.type)} ${escapeHtml(entry.entity.id)})</small></td>
+                        <td class="audit-changes">${changes}</td>
+                    </tr>
+                `;
+            }).join('');
+
+        const { currentPage, totalPages } = pagination;
+        document.getElementById('auditPagination').innerHTML = totalPages > 1 ? `
+            <div class="pagination">
+                <button class="page-btn audit-page-btn" data-page="${currentPage - 1}" ${currentPage === 1 ? 'disabled' : ''}>${t('pagination.previous')}</button>
+                <span class="audit-page-info">${t('pagination.pageOf', { page: currentPage, total: totalPages })}</span>
+                <button class="page-btn audit-page-btn" data-page="${currentPage + 1}" ${currentPage === totalPages ? 'disabled' : ''}>${t('pagination.next')}</button>
+            </div>
+        ` : '';
+    }
+
+    async loadAdminCoupons() {
+        try {
+            const coupons = await this.apiRequest('/admin/coupons');
+            this.renderAdminCoupons(coupons);
+        } catch (error) {
+            console.error('Error loading coupons:', error);
+        }
+    }
+
+    renderAdminCoupons(coupons) {
+        const tbody = document.getElementById('adminCouponsBody');
+
+        if (coupons.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="6">${t('admin.coupons.empty')}</td></tr>`;
+            return;
+        }
+
+        const describeDiscount = (coupon) => {
+            if (coupon.type === 'percentage') return t('admin.coupons.percentOff', { value: coupon.value });
+            if (coupon.type === 'fixed') return t('admin.coupons.amountOff', { amount: formatMoney(coupon.value, this.baseCurrency) });
+            return t('admin.coupons.freeShipping');
+        };
+
+        const describeConditions = (coupon) => [
+            coupon.minSubtotal ? t('admin.coupons.minimum', { amount: formatMoney(coupon.minSubtotal, this.baseCurrency) }) : '',
+            coupon.categories.length ? coupon.categories.join(', ') : '',
+            coupon.expiresAt ? t('admin.coupons.expires', { date: formatDate(coupon.expiresAt) }) : ''
+        ].filter(Boolean).join(' · ') || t('admin.coupons.noConditions');
+
+        tbody.innerHTML = coupons.map(coupon => `
+            <tr>
+                <td><strong>${coupon.code}</strong></td>
+                <td>${describeDiscount(coupon)}</td>
+                <td>${describeConditions(coupon)}</td>
+                <td>${coupon.usedCount}${coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}</td>
+                <td>${coupon.active ? t('admin.coupons.active') : t('admin.coupons.inactive')}</td>
+                <td class="admin-actions">
+                    <button class="btn btn--sm btn--outline toggle-coupon-btn" data-coupon-id="${coupon.id}"
+                            data-active="${!coupon.active}">${coupon.active ? t('admin.coupons.deactivate') : t('admin.coupons.activate')}</button>
+                    <button class="btn btn--sm btn--outline delete-coupon-btn" data-coupon-id="${coupon.id}">${t('common.delete')}</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async saveCoupon(couponId, couponData) {
+        try {
+            await this.apiRequest(couponId ? `/admin/coupons/${couponId}` : '/admin/coupons', {
+                method: couponId ? 'PUT' : 'POST',
+                body: JSON.stringify(couponData)
+            });
+
+            this.showToast(couponId ? t('admin.coupons.updated') : t('admin.coupons.created'), 'success');
+            await this.loadAdminCoupons();
+            return true;
+        } catch (error) {
+            console.error('Save coupon error:', error);
+            this.showToast(error.message || t('admin.coupons.saveFailed'), 'error');
             return false;
         }
     }
 
-    getCartItems() {
-        return this.cart.map(item => {
-            const product = this.products.find(p => p.id === item.productId);
-            return {
-                ...item,
-                product
-            };
-        }).filter(item => item.product);
+    async deleteCoupon(couponId) {
+        try {
+            await this.apiRequest(`/admin/coupons/${couponId}`, {
+                method: 'DELETE'
+            });
+
+            this.showToast(t('admin.coupons.deleted'), 'success');
+            await this.loadAdminCoupons();
+        } catch (error) {
+            console.error('Delete coupon error:', error);
+            this.showToast(error.message || t('admin.coupons.deleteFailed'), 'error');
+        }
     }
 
-    getCartTotal() {
-        return this.getCartItems().reduce((total, item) => {
-            return total + (item.product.price * item.quantity);
-        }, 0);
+    async moderateReview(reviewId, hidden) {
+        try {
+            await this.apiRequest(`/admin/reviews/${reviewId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ hidden })
+            });
+
+            this.showToast(hidden ? t('admin.reviews.hiddenToast') : t('admin.reviews.visibleToast'), 'success');
+            await this.loadAdminReviews();
+            await this.loadProducts();
+        } catch (error) {
+            console.error('Moderate review error:', error);
+            this.showToast(error.message || t('admin.reviews.updateFailed'), 'error');
+        }
     }
 
-    async clearCart() {
-        if (this.apiToken && this.currentUser) {
-            try {
-                await this.apiRequest('/cart/clear', {
-                    method: 'DELETE'
-                });
+    async deleteReview(reviewId) {
+        try {
+            await this.apiRequest(`/admin/reviews/${reviewId}`, {
+                method: 'DELETE'
+            });
 
-                await this.loadCart();
-            } catch (error) {
-                console.error('Clear cart error:', error);
-            }
-        } else {
-            this.cart = [];
-            this.saveCart();
+            this.showToast(t('admin.reviews.deleted'), 'success');
+            await this.loadAdminReviews();
+            await this.loadProducts();
+        } catch (error) {
+            console.error('Delete review error:', error);
+            this.showToast(error.message || t('admin.reviews.deleteFailed'), 'error');
         }
     }
 
@@ -527,8 +1910,8 @@ class AppState {
             console.log('⚠️ No products found, showing empty state');
             productsGrid.innerHTML = `
                 <div class="empty-products">
-                    <h3>No products found</h3>
-                    <p>Try adjusting your filters or search terms.</p>
+                    <h3>${t('products.emptyTitle')}</h3>
+                    <p>${t('products.emptyText')}</p>
                 </div>
             `;
             return;
@@ -536,6 +1919,12 @@ class AppState {
 
         console.log('✅ Rendering', filteredProducts.length, 'products');
         productsGrid.innerHTML = filteredProducts.map(product => this.createProductCard(product)).join('');
+        productsGrid.querySelectorAll('.product-card').forEach(card => {
+            const product = this.products.find(p => p.id === card.getAttribute('data-product-id'));
+            if (product && product.variants && product.variants.length > 0) {
+                this.updateVariantPicker(card, product);
+            }
+        });
 
         if (this.pagination) {
             this.renderPagination(this.pagination.totalItems);
@@ -543,30 +1932,212 @@ class AppState {
         console.log('🎨 renderProducts completed');
     }
 
+    // Lowest and highest price across a product's variants, e.g. "$35.00 - $38.00"
+    formatPriceRange(product) {
+        const prices = (product.variants || []).map(variant => unitPrice(product, variant));
+        if (prices.length === 0) return formatMoney(product.price, product.currency);
+
+        const low = formatMoney(Math.min(...prices), product.currency);
+        const high = formatMoney(Math.max(...prices), product.currency);
+        return low === high ? low : `${low} - ${high}`;
+    }
+
+    renderVariantPicker(product) {
+        if (!product.variants || product.variants.length === 0) return '';
+
+        return `
+            <div class="variant-picker">
+                ${product.options.map(option => `
+                    <label class="variant-picker__option">
+                        <span>${escapeHtml(option.name)}</span>
+                        <select class="form-control variant-select" data-product-id="${product.id}" data-option="${escapeHtml(option.name)}">
+                            ${option.values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+                <div class="variant-picker__status"></div>
+            </div>
+        `;
+    }
+
+    // The variant matching the options picked on a product card, or null if that combination isn't sold
+    getSelectedVariant(card, product) {
+        const selected = {};
+        card.querySelectorAll('.variant-select').forEach(select => {
+            selected[select.getAttribute('data-option')] = select.value;
+        });
+
+        return product.variants.find(variant =>
+            Object.entries(selected).every(([name, value]) => variant.options[name] === value)
+        ) || null;
+    }
+
+    // Show the picked variant's price and whether it can be bought
+    updateVariantPicker(card, product) {
+        const variant = this.getSelectedVariant(card, product);
+        const status = card.querySelector('.variant-picker__status');
+        const button = card.querySelector('.add-to-cart-btn');
+
+        card.querySelector('.product-price').textContent = variant
+            ? formatMoney(unitPrice(product, variant), product.currency)
+            : this.formatPriceRange(product);
+
+        if (!variant) {
+            status.textContent = t('products.combinationUnavailable');
+        } else if (variant.stock === 0) {
+            status.textContent = t('products.outOfStock');
+        } else {
+            status.textContent = variant.stock <= LOW_STOCK_THRESHOLD ? t('products.onlyLeft', { count: variant.stock }) : '';
+        }
+        button.disabled = !variant || variant.stock === 0;
+    }
+
     createProductCard(product) {
         return `
-            <div class="product-card">
+            <div class="product-card" data-product-id="${product.id}">
                 <div class="product-image">
-                    <span class="icon-${product.image}"></span>
-                    ${product.featured ? '<div class="product-badge">Featured</div>' : ''}
+                    ${renderProductImage(product)}
+                    ${product.featured ? `<div class="product-badge">${t('products.featured')}</div>` : ''}
                 </div>
                 <div class="product-info">
-                    <div class="product-category">${product.category}</div>
-                    <h3 class="product-name">${product.name}</h3>
-                    <p class="product-description">${product.description}</p>
+                    <div class="product-category">${escapeHtml(product.category)}</div>
+                    <h3 class="product-name">
+                        <a href="${this.routeUrl(`/product/${product.id}`)}" data-route="/product/${product.id}">
+                            ${product.highlights ? product.highlights.name : escapeHtml(product.name)}
+                        </a>
+                    </h3>
+                    <p class="product-description">${product.highlights ? product.highlights.description : escapeHtml(product.description)}</p>
                     <div class="product-rating">
-                        <span class="stars">${'★'.repeat(Math.floor(product.rating))}${'☆'.repeat(5 - Math.floor(product.rating))}</span>
-                        <span class="rating-value">(${product.rating})</span>
+                        <span class="stars">${renderStars(product.rating)}</span>
+                        <button class="link-btn rating-value reviews-link" data-product-id="${product.id}">
+                            ${product.reviewCount ? t('products.rating', { rating: product.rating, count: product.reviewCount }) : t('products.noReviews')}
+                        </button>
                     </div>
+                    ${this.renderVariantPicker(product)}
                     <div class="product-footer">
-                        <span class="product-price">$${product.price.toFixed(2)}</span>
+                        <span class="product-price">${this.formatPriceRange(product)}</span>
                         <button class="btn btn--primary add-to-cart-btn" data-product-id="${product.id}">
-                            Add to Cart
+                            ${t('products.addToCart')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Product page
+    async loadProductDetail(productId) {
+        const route = `/product/${productId}`;
+        const container = document.getElementById('productDetail');
+        if (!this.currentProduct || this.currentProduct.id !== productId) {
+            container.innerHTML = `<p class="product-detail__message">${t('product.loading')}</p>`;
+        }
+
+        try {
+            const product = await this.apiRequest(`/products/${encodeURIComponent(productId)}`);
+            // The shopper may have moved on while this was loading
+            if (this.currentRoute !== route) return;
+
+            this.currentProduct = { ...product, id: product._id };
+            this.renderProductDetail();
+        } catch (error) {
+            if (this.currentRoute !== route) return;
+
+            this.currentProduct = null;
+            container.innerHTML = error.status === 404 ? `
+                <div class="product-detail__message">
+                    <h3>${t('product.notFoundTitle')}</h3>
+                    <p>${t('product.notFoundText')}</p>
+                    <button class="btn btn--primary" data-route="/">${t('product.browse')}</button>
+                </div>
+            ` : `
+                <div class="product-detail__message">
+                    <h3>${t('product.loadFailedTitle')}</h3>
+                    <p>${escapeHtml(error.message || t('product.tryAgain'))}</p>
+                </div>
+            `;
+        }
+    }
+
+    renderProductDetail() {
+        const product = this.currentProduct;
+        const hasOptions = product.variants && product.variants.length > 0;
+        const images = product.images || [];
+        const mostReviews = Math.max(1, ...product.ratingBreakdown.map(row => row.count));
+
+        const container = document.getElementById('productDetail');
+        container.innerHTML = `
+            <div class="product-detail" data-product-id="${product.id}">
+                <div class="product-detail__gallery">
+                    <div class="product-image product-detail__image">
+                        ${renderProductImage(product, 'large')}
+                        ${product.featured ? `<div class="product-badge">${t('products.featured')}</div>` : ''}
+                    </div>
+                    ${images.length > 1 ? `
+                        <div class="product-detail__thumbs">
+                            ${images.map((image, index) => `
+                                <button class="product-detail__thumb ${index === 0 ? 'active' : ''}" data-image-index="${index}">
+                                    <img src="${API_ORIGIN}${image.urls.thumb}" alt="${escapeHtml(image.alt)}">
+                                </button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="product-detail__info">
+                    <div class="product-category">${escapeHtml(product.category)}</div>
+                    <h2 class="product-detail__name">${escapeHtml(product.name)}</h2>
+                    <div class="product-rating">
+                        <span class="stars">${renderStars(product.rating)}</span>
+                        <button class="link-btn rating-value reviews-link" data-product-id="${product.id}">
+                            ${product.reviewCount ? t('products.rating', { rating: product.rating, count: product.reviewCount }) : t('products.noReviews')}
+                        </button>
+                    </div>
+                    <span class="product-price product-detail__price">${this.formatPriceRange(product)}</span>
+                    <p class="product-detail__description">${escapeHtml(product.description)}</p>
+                    ${this.renderVariantPicker(product)}
+                    ${hasOptions ? '' : `<div class="product-detail__stock">${this.describeStock(product.stock)}</div>`}
+                    <div class="product-detail__buy">
+                        <label class="form-label" for="productQuantity">${t('product.quantity')}</label>
+                        <input type="number" class="form-control product-detail__quantity" id="productQuantity" min="1" value="1">
+                        <button class="btn btn--primary add-to-cart-btn" data-product-id="${product.id}"
+                                ${!hasOptions && product.stock === 0 ? 'disabled' : ''}>
+                            ${t('products.addToCart')}
                         </button>
                     </div>
+                    <div class="rating-breakdown">
+                        <h3>${t('product.customerReviews')}</h3>
+                        ${product.ratingBreakdown.map(({ stars, count }) => `
+                            <div class="rating-breakdown__row">
+                                <span>${stars} ★</span>
+                                <div class="rating-breakdown__bar">
+                                    <div class="rating-breakdown__fill" style="width: ${(count / mostReviews) * 100}%"></div>
+                                </div>
+                                <span class="rating-breakdown__count">${count}</span>
+                            </div>
+                        `).join('')}
+                    </div>
                 </div>
             </div>
         `;
+
+        if (hasOptions) {
+            this.updateVariantPicker(container.querySelector('.product-detail'), product);
+        }
+    }
+
+    describeStock(stock) {
+        if (stock === 0) return t('products.outOfStock');
+        return stock <= LOW_STOCK_THRESHOLD ? t('products.onlyLeft', { count: stock }) : t('products.inStock');
+    }
+
+    showProductImage(index) {
+        const image = this.currentProduct.images[index];
+        const photo = document.querySelector('.product-detail__image .product-photo');
+        photo.src = `${API_ORIGIN}${image.urls.large}`;
+        photo.alt = image.alt;
+        document.querySelectorAll('.product-detail__thumb').forEach(thumb => {
+            thumb.classList.toggle('active', Number(thumb.getAttribute('data-image-index')) === index);
+        });
     }
 
     renderPagination(totalItems) {
@@ -587,7 +2158,7 @@ class AppState {
             <button class="page-btn ${currentPage === 1 ? 'disabled' : ''}" 
                     data-page="${currentPage - 1}" 
                     ${currentPage === 1 ? 'disabled' : ''}>
-                Previous
+                ${t('pagination.previous')}
             </button>
         `;
 
@@ -609,7 +2180,7 @@ class AppState {
             <button class="page-btn ${currentPage === totalPages ? 'disabled' : ''}" 
                     data-page="${currentPage + 1}"
                     ${currentPage === totalPages ? 'disabled' : ''}>
-                Next
+                ${t('pagination.next')}
             </button>
         `;
 
@@ -617,21 +2188,64 @@ class AppState {
         pagination.innerHTML = paginationHTML;
     }
 
-    async renderCategoryFilters() {
-        try {
-            const categories = await this.apiRequest('/products/categories');
-            const categoryFilters = document.getElementById('categoryFilters');
-
-            categoryFilters.innerHTML = categories.map(category => `
-                <div class="checkbox-item">
-                    <input type="checkbox" id="cat-${category}" value="${category}" 
-                           ${this.filters.categories.includes(category) ? 'checked' : ''}>
-                    <label for="cat-${category}">${category}</label>
+    // Sidebar filters with counts for the current search and filters
+    renderFacetFilters() {
+        if (!this.facets) return;
+
+        this.renderCategoryFilters();
+        this.renderPriceFilter();
+
+        const ratingFilter = document.getElementById('ratingFilter');
+        ratingFilter.innerHTML = `<option value="">${t('filters.anyRating')}</option>` + this.facets.ratings.map(({ minRating, count }) => `
+            <option value="${minRating}" ${this.filters.minRating === minRating ? 'selected' : ''}>
+                ${t('filters.ratingAndUp', { rating: minRating })} (${count})
+            </option>
+        `).join('');
+
+        document.getElementById('inStockFilter').checked = this.filters.inStock;
+        document.getElementById('inStockCount').textContent = `(${this.facets.inStock})`;
+        document.getElementById('featuredFilter').checked = this.filters.featured;
+        document.getElementById('featuredCount').textContent = `(${this.facets.featured})`;
+    }
+
+    renderCategoryFilters() {
+        const categoryFilters = document.getElementById('categoryFilters');
+
+        // Categories with no matches stay listed, greyed out unless already ticked
+        categoryFilters.innerHTML = this.facets.categories.map(({ name, count }, index) => {
+            const checked = this.filters.categories.includes(name);
+            return `
+                <div class="checkbox-item ${count === 0 ? 'checkbox-item--empty' : ''}">
+                    <input type="checkbox" id="cat-${index}" value="${escapeHtml(name)}"
+                           ${checked ? 'checked' : ''} ${count === 0 && !checked ? 'disabled' : ''}>
+                    <label for="cat-${index}">${escapeHtml(name)} <span class="facet-count">(${count})</span></label>
                 </div>
-            `).join('');
-        } catch (error) {
-            console.error('Error loading categories:', error);
-        }
+            `;
+        }).join('');
+    }
+
+    // Slider bounds follow the prices of the products the other filters leave
+    renderPriceFilter() {
+        const { min, max, buckets } = this.facets.price;
+        const low = Math.floor(min);
+        const high = Math.ceil(max);
+        const minSlider = document.getElementById('minPrice');
+        const maxSlider = document.getElementById('maxPrice');
+
+        [minSlider, maxSlider].forEach(slider => {
+            slider.min = low;
+            slider.max = high;
+        });
+        minSlider.value = this.filters.minPrice ?? low;
+        maxSlider.value = this.filters.maxPrice ?? high;
+        document.getElementById('minPriceDisplay').textContent = formatMoney(Number(minSlider.value), this.priceCurrency);
+        document.getElementById('maxPriceDisplay').textContent = formatMoney(Number(maxSlider.value), this.priceCurrency);
+
+        const tallest = Math.max(1, ...buckets.map(bucket => bucket.count));
+        document.getElementById('priceHistogram').innerHTML = buckets.map(bucket => `
+            <div class="price-histogram__bar" style="height: ${(bucket.count / tallest) * 100}%"
+                 title="${formatMoney(bucket.from, this.priceCurrency)} - ${formatMoney(bucket.to, this.priceCurrency)}: ${t('filters.products', { count: bucket.count })}"></div>
+        `).join('');
     }
 
     renderCart() {
@@ -642,105 +2256,594 @@ class AppState {
             cartItems.innerHTML = `
                 <div class="empty-cart">
                     <span class="material-icons">shopping_cart</span>
-                    <h3>Your cart is empty</h3>
-                    <p>Add some products to get started!</p>
-                    <button class="btn btn--primary shop-now-btn">Shop Now</button>
+                    <h3>${t('cart.emptyTitle')}</h3>
+                    <p>${t('cart.emptyText')}</p>
+                    <button class="btn btn--primary shop-now-btn">${t('common.shopNow')}</button>
                 </div>
             `;
         } else {
-            cartItems.innerHTML = items.map(item => `
+            cartItems.innerHTML = items.map(item => {
+                const available = this.getAvailableStock(item.productId, item.sku || null);
+                const skuAttr = item.sku ? `data-sku="${escapeHtml(item.sku)}"` : '';
+                const atLimit = item.quantity >= available;
+
+                return `
                 <div class="cart-item">
                     <div class="cart-item__image">
-                        <span class="icon-${item.product.image}"></span>
+                        ${renderProductImage(item.product, 'thumb')}
                     </div>
                     <div class="cart-item__info">
-                        <h4 class="cart-item__name">${item.product.name}</h4>
-                        <p class="cart-item__category">${item.product.category}</p>
+                        <h4 class="cart-item__name">${escapeHtml(item.product.name)}</h4>
+                        <p class="cart-item__category">${escapeHtml(item.product.category)}</p>
+                        ${item.variant ? `<p class="cart-item__variant">${escapeHtml(describeVariant(item.variant))}</p>` : ''}
+                        ${atLimit || available <= LOW_STOCK_THRESHOLD ? `<p class="cart-item__stock">${t('products.onlyLeft', { count: available })}</p>` : ''}
+                        ${this.renderPriceChange(item)}
                         <div class="cart-item__controls">
                             <div class="quantity-controls">
-                                <button class="quantity-btn" data-action="decrease" data-product-id="${item.productId}">-</button>
+                                <button class="quantity-btn" data-action="decrease" data-product-id="${item.productId}" ${skuAttr}>-</button>
                                 <span class="quantity-display">${item.quantity}</span>
-                                <button class="quantity-btn" data-action="increase" data-product-id="${item.productId}">+</button>
+                                <button class="quantity-btn" data-action="increase" data-product-id="${item.productId}" ${skuAttr}
+                                        ${atLimit ? `disabled title="${t('cart.noMoreStock')}"` : ''}>+</button>
                             </div>
-                            <div class="cart-item__price">$${(item.product.price * item.quantity).toFixed(2)}</div>
+                            <div class="cart-item__price">${formatMoney(item.price * item.quantity, item.product.currency)}</div>
                         </div>
                     </div>
-                    <button class="remove-item-btn" data-product-id="${item.productId}">
+                    <button class="remove-item-btn" data-product-id="${item.productId}" ${skuAttr}>
                         <span class="material-icons">close</span>
                     </button>
                 </div>
-            `).join('');
+            `;
+            }).join('');
+        }
+
+        this.updateCartSummary();
+    }
+
+    // "Price changed from $199.99 to $179.99" under a cart line whose price changed while in the cart
+    renderPriceChange(item) {
+        const change = this.priceChanges.get(cartLineKey(item.productId, item.sku));
+        if (!change) return '';
+        return `<p class="cart-item__price-change">${t('cart.priceChanged', {
+            from: formatMoney(change.from, change.currency),
+            to: formatMoney(change.to, change.currency)
+        })}</p>`;
+    }
+
+    renderRegionOptions() {
+        const regionSelect = document.getElementById('regionSelect');
+        regionSelect.innerHTML = this.regions.map(region => `
+            <option value="${region.code}" ${region.code === this.region ? 'selected' : ''}>${region.name}</option>
+        `).join('');
+    }
+
+    updateCartSummary() {
+        // The server prices every cart so what we show is exactly what checkout charges
+        const summary = this.cartSummary || {
+            subtotal: 0, discount: 0, shipping: 0, taxRate: 0, tax: 0, total: 0, coupon: null, freeShippingOver: null,
+            currency: this.currency || this.baseCurrency
+        };
+        const money = (amount) => formatMoney(amount, summary.currency);
+
+        if (summary.region && summary.region !== this.region) {
+            this.region = summary.region;
+            this.renderRegionOptions();
+        }
+
+        document.getElementById('cartSubtotal').textContent = money(summary.subtotal);
+        document.getElementById('cartShipping').textContent = summary.shipping ? money(summary.shipping) : t('cart.free');
+        document.getElementById('cartTaxRate').textContent = `${+(summary.taxRate * 100).toFixed(3)}%`;
+        document.getElementById('cartTax').textContent = money(summary.tax);
+        document.getElementById('cartTotal').textContent = money(summary.total);
+
+        const shippingNote = document.getElementById('shippingNote');
+        const amountDue = summary.subtotal - summary.discount;
+        shippingNote.textContent = summary.shipping && summary.freeShippingOver
+            ? t('cart.freeShippingNote', { amount: money(summary.freeShippingOver - amountDue) })
+            : '';
+
+        const { coupon } = summary;
+        document.getElementById('cartDiscountRow').classList.toggle('hidden', !summary.discount);
+        document.getElementById('cartCouponCode').textContent = coupon ? coupon.code : '';
+        document.getElementById('cartDiscount').textContent = `-${money(summary.discount)}`;
+
+        document.getElementById('couponForm').classList.toggle('hidden', Boolean(coupon));
+        document.getElementById('couponApplied').classList.toggle('hidden', !coupon);
+        document.getElementById('couponError').textContent = coupon && coupon.error ? coupon.error : '';
+        if (coupon) {
+            document.getElementById('couponAppliedText').textContent = coupon.freeShipping
+                ? t('cart.couponFreeShipping', { code: coupon.code })
+                : t('cart.couponAppliedLabel', { code: coupon.code });
+        }
+
+        // Totals and stock are only certain once every queued change has reached the server
+        const pending = !this.online || this.cartQueue.length > 0;
+        document.getElementById('cartPendingNote').classList.toggle('hidden', !pending);
+        const checkoutBtn = document.getElementById('checkoutBtn');
+        checkoutBtn.disabled = this.cart.length === 0 || pending;
+    }
+
+    renderOrdersUnavailable() {
+        document.getElementById('ordersList').innerHTML = `
+            <div class="empty-cart">
+                <span class="material-icons">cloud_off</span>
+                <h3>${t('offline.unreachable')}</h3>
+            </div>
+        `;
+    }
+
+    renderOrders() {
+        const ordersList = document.getElementById('ordersList');
+
+        if (this.orders.length === 0) {
+            ordersList.innerHTML = `
+                <div class="empty-cart">
+                    <span class="material-icons">receipt_long</span>
+                    <h3>${t('orders.emptyTitle')}</h3>
+                    <p>${t('orders.emptyText')}</p>
+                    <button class="btn btn--primary shop-now-btn">${t('common.shopNow')}</button>
+                </div>
+            `;
+            return;
+        }
+
+        // Orders are charged in the base currency; older ones don't say so
+        const money = (order, amount) => formatMoney(amount, order.currency || this.baseCurrency);
+        ordersList.innerHTML = this.orders.map(order => `
+            <div class="card order-card">
+                <div class="card__header order-card__header">
+                    <div>
+                        <h4>${t('orders.title', { id: order.id })}</h4>
+                        <small>${formatDateTime(order.createdAt)}</small>
+                    </div>
+                    <span class="order-status">${t(`orders.status.${order.status}`)}</span>
+                </div>
+                <div class="card__body">
+                    ${order.items.map(item => `
+                        <div class="summary-row">
+                            <span>${escapeHtml(item.name)}${item.variantName ? ` (${escapeHtml(item.variantName)})` : ''} &times; ${item.quantity}</span>
+                            <span>${money(order, item.lineTotal)}</span>
+                        </div>
+                    `).join('')}
+                    ${order.discount ? `
+                        <div class="summary-row discount">
+                            <span>${t('orders.discount', { code: order.couponCode })}</span>
+                            <span>-${money(order, order.discount)}</span>
+                        </div>
+                    ` : ''}
+                    <div class="summary-row">
+                        <span>${t('cart.shipping')}</span>
+                        <span>${order.shipping ? money(order, order.shipping) : t('cart.free')}</span>
+                    </div>
+                    <div class="summary-row">
+                        <span>${t('orders.tax')}</span>
+                        <span>${money(order, order.tax)}</span>
+                    </div>
+                    <div class="summary-row total">
+                        <span>${t('cart.total')}</span>
+                        <span>${money(order, order.total)}</span>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderAdminDashboard() {
+        if (!this.currentUser || this.currentUser.role !== 'admin') {
+            this.navigateTo('/');
+            return;
+        }
+
+        this.loadAdminStats();
+
+        this.renderAdminProducts();
+        this.loadAdminCoupons();
+        this.loadAdminReviews();
+    }
+
+    renderAdminProducts() {
+        const tbody = document.getElementById('adminProductsBody');
+        tbody.innerHTML = this.products.map(product => `
+            <tr>
+                <td>${product.id}</td>
+                <td>${escapeHtml(product.name)}</td>
+                <td>${escapeHtml(product.category)}</td>
+                <td>${formatMoney(product.price, product.currency)}</td>
+                <td>${product.stock}</td>
+                <td class="admin-actions">
+                    <button class="btn btn--sm btn--outline edit-product-btn" data-product-id="${product.id}">${t('common.edit')}</button>
+                    <button class="btn btn--sm btn--outline delete-product-btn" data-product-id="${product.id}">${t('common.delete')}</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Bulk import and export
+    // The export is fetched rather than linked so the admin's token goes with it
+    async downloadProductExport(format) {
+        try {
+            const { response, data } = await this.apiFetch(`/admin/products/export?format=${format}`, { as: 'blob' });
+
+            // Use the server's file name, e.g. techmart-products-2024-05-01.csv
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(data);
+            link.download = match ? match[1] : `techmart-products.${format}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('Export products error:', error);
+            this.showToast(t('admin.import.exportFailed'), 'error');
+        }
+    }
+
+    showImportWizard() {
+        this.pendingImport = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('confirmImportBtn').disabled = true;
+        document.getElementById('importWizard').classList.remove('hidden');
+    }
+
+    hideImportWizard() {
+        this.pendingImport = null;
+        document.getElementById('importWizard').classList.add('hidden');
+    }
+
+    // Step 1: a dry run checks every row without changing anything
+    async previewImport(file) {
+        const preview = document.getElementById('importPreview');
+        const confirmButton = document.getElementById('confirmImportBtn');
+        confirmButton.disabled = true;
+
+        const format = /\.json$/i.test(file.name) || file.type === 'application/json' ? 'json' : 'csv';
+        this.pendingImport = { format, content: await file.text() };
+        preview.innerHTML = `<p class="form-help">${t('admin.import.checking')}</p>`;
+
+        try {
+            const report = await this.apiRequest('/admin/products/import', {
+                method: 'POST',
+                body: JSON.stringify({ ...this.pendingImport, dryRun: true }),
+                timeout: UPLOAD_TIMEOUT
+            });
+            this.renderImportPreview(report);
+        } catch (error) {
+            console.error('Import preview error:', error);
+            this.pendingImport = null;
+            preview.innerHTML = `<p class="field-error">${escapeHtml(error.message || t('admin.import.unreadable'))}</p>`;
+        }
+    }
+
+    renderImportPreview({ valid, summary, rows }) {
+        const { create, update, invalid } = summary;
+        const confirmButton = document.getElementById('confirmImportBtn');
+        confirmButton.disabled = !valid;
+        confirmButton.textContent = t('admin.import.confirm', { count: rows.length });
+
+        document.getElementById('importPreview').innerHTML = `
+            <p class="import-summary">
+                ${t('admin.import.summary', { create, update })}${invalid ? `, <strong>${t('admin.import.withErrors', { count: invalid })}</strong> - ${t('admin.import.fixErrors')}` : ''}
+            </p>
+            <div class="admin-table-container">
+                <table class="admin-table">
+                    <thead>
+                        <tr>
+                            <th>${t('admin.import.row')}</th>
+                            <th>${t('admin.import.action')}</th>
+                            <th>${t('admin.import.product')}</th>
+                            <th>${t('admin.import.problems')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr class="${row.errors.length ? 'import-row--invalid' : ''}">
+                                <td>${row.line}</td>
+                                <td>${row.action === 'create' ? t('admin.import.create') : t('admin.import.update', { id: escapeHtml(row.productId) })}</td>
+                                <td>${escapeHtml(row.name)}</td>
+                                <td>${row.errors.map(error => escapeHtml(error.message)).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Step 2: the server checks the rows again and applies all of them or none
+    async confirmImport() {
+        if (!this.pendingImport) return;
+
+        try {
+            const report = await this.apiRequest('/admin/products/import', {
+                method: 'POST',
+                body: JSON.stringify(this.pendingImport),
+                timeout: UPLOAD_TIMEOUT
+            });
+
+            this.showToast(t('admin.import.done', { created: report.summary.create, updated: report.summary.update }), 'success');
+            this.hideImportWizard();
+            await this.loadProducts();
+            this.renderAdminDashboard();
+        } catch (error) {
+            console.error('Import products error:', error);
+            // The catalog may have changed since the preview, so show the new report
+            if (error.code === 'IMPORT_INVALID') {
+                this.renderImportPreview(error.data);
+            }
+            this.showToast(error.message || t('admin.import.failed'), 'error');
+        }
+    }
+
+    // Modal Management
+    // The listing shows prices in the shopper's currency and text in their language, but products
+    // are edited in the base currency and the store's default language
+    async editProduct(productId) {
+        try {
+            const params = new URLSearchParams();
+            if (this.baseCurrency) params.set('currency', this.baseCurrency);
+            if (this.contentLocales) params.set('lang', this.contentLocales.default);
+            const product = await this.apiRequest(`/products/${productId}?${params}`);
+            this.showProductModal({ ...product, id: product._id });
+        } catch (error) {
+            console.error('Load product error:', error);
+            this.showToast(error.message || t('admin.products.loadFailed'), 'error');
+        }
+    }
+
+    showProductModal(product = null) {
+        const modal = document.getElementById('productModal');
+        const title = document.getElementById('modalTitle');
+
+        if (product) {
+            title.textContent = t('admin.productForm.editTitle');
+            document.getElementById('productId').value = product.id;
+            document.getElementById('productName').value = product.name;
+            document.getElementById('productCategory').value = product.category;
+            document.getElementById('productPrice').value = product.price;
+            document.getElementById('productDescription').value = product.description;
+            document.getElementById('productStock').value = product.stock;
+            document.getElementById('productSku').value = product.sku || '';
+            document.getElementById('productOptions').value = (product.options || [])
+                .map(option => `${option.name}: ${option.values.join(', ')}`)
+                .join('\n');
+            this.renderVariantRows(product.variants || []);
+        } else {
+            title.textContent = t('admin.productForm.addTitle');
+            document.getElementById('productForm').reset();
+            document.getElementById('productId').value = '';
+            this.renderVariantRows([]);
+        }
+
+        this.renderTranslationFields(product ? product.translations || {} : {});
+        this.renderImageManager(product);
+
+        this.clearProductFieldErrors();
+        modal.classList.remove('hidden');
+    }
+
+    // Images can only be added once the product exists
+    renderImageManager(product) {
+        const list = document.getElementById('productImages');
+        const help = document.getElementById('productImagesHelp');
+        document.getElementById('productImageUpload').classList.toggle('hidden', !product);
+
+        if (!product) {
+            list.innerHTML = '';
+            help.textContent = t('admin.images.saveFirst');
+            return;
+        }
+
+        const images = product.images || [];
+        help.textContent = images.length
+            ? t('admin.images.primaryHelp')
+            : t('admin.images.none');
+
+        list.innerHTML = images.map((image, index) => `
+            <div class="image-manager__item">
+                <img src="${API_ORIGIN}${image.urls.thumb}" alt="${escapeHtml(image.alt)}">
+                ${index === 0 ? `<span class="image-manager__primary">${t('admin.images.primary')}</span>` : ''}
+                <div class="image-manager__actions">
+                    <button type="button" class="btn btn--sm btn--outline move-image-btn" data-image-id="${image.id}"
+                            data-direction="-1" title="${t('admin.images.moveEarlier')}" ${index === 0 ? 'disabled' : ''}>&larr;</button>
+                    <button type="button" class="btn btn--sm btn--outline move-image-btn" data-image-id="${image.id}"
+                            data-direction="1" title="${t('admin.images.moveLater')}" ${index === images.length - 1 ? 'disabled' : ''}>&rarr;</button>
+                    <button type="button" class="btn btn--sm btn--outline delete-image-btn" data-image-id="${image.id}"
+                            title="${t('admin.images.remove')}">&times;</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Image routes answer with the whole product; swap it into the list and redraw
+    applyProductChange(data) {
+        const product = { ...data, id: data._id };
+        this.products = this.products.map(p => p.id === product.id ? product : p);
+        this.renderImageManager(product);
+        this.renderProducts();
+    }
+
+    async uploadProductImage(productId, file) {
+        const formData = new FormData();
+        formData.append('image', file);
+
+        try {
+            const data = await this.apiRequest(`/products/${productId}/images`, {
+                method: 'POST',
+                body: formData,
+                timeout: UPLOAD_TIMEOUT
+            });
+
+            this.applyProductChange(data);
+            this.showToast(t('admin.images.uploaded'), 'success');
+            return true;
+        } catch (error) {
+            console.error('Upload image error:', error);
+            this.showToast(error.message || t('admin.images.uploadFailed'), 'error');
+            return false;
+        }
+    }
+
+    async moveProductImage(productId, imageId, direction) {
+        const product = this.products.find(p => p.id === productId);
+        const order = product.images.map(image => image.id);
+        const from = order.indexOf(imageId);
+        order.splice(from, 1);
+        order.splice(from + direction, 0, imageId);
+
+        try {
+            const data = await this.apiRequest(`/products/${productId}/images`, {
+                method: 'PUT',
+                body: JSON.stringify({ order })
+            });
+
+            this.applyProductChange(data);
+        } catch (error) {
+            console.error('Reorder images error:', error);
+            this.showToast(error.message || t('admin.images.reorderFailed'), 'error');
         }
+    }
 
-        this.updateCartSummary();
+    async deleteProductImage(productId, imageId) {
+        try {
+            const data = await this.apiRequest(`/products/${productId}/images/${imageId}`, {
+                method: 'DELETE'
+            });
+
+            this.applyProductChange(data);
+            this.showToast(t('admin.images.removed'), 'info');
+        } catch (error) {
+            console.error('Delete image error:', error);
+            this.showToast(error.message || t('admin.images.removeFailed'), 'error');
+        }
     }
 
-    updateCartSummary() {
-        const subtotal = this.getCartTotal();
-        const tax = subtotal * 0.085; // 8.5% tax
-        const total = subtotal + tax;
+    // "Size: S, M, L" on each line -> [{ name: 'Size', values: ['S', 'M', 'L'] }]
+    parseProductOptions() {
+        return document.getElementById('productOptions').value
+            .split('\n')
+            .map(line => line.split(':'))
+            .filter(([name, values]) => name.trim() && values)
+            .map(([name, values]) => ({
+                name: name.trim(),
+                values: values.split(',').map(value => value.trim()).filter(Boolean)
+            }));
+    }
 
-        document.getElementById('cartSubtotal').textContent = `$${subtotal.toFixed(2)}`;
-        document.getElementById('cartTax').textContent = `$${tax.toFixed(2)}`;
-        document.getElementById('cartTotal').textContent = `$${total.toFixed(2)}`;
+    renderVariantRows(variants) {
+        const tbody = document.getElementById('productVariants');
+        tbody.setAttribute('data-empty-text', t('admin.productForm.noVariants'));
+        tbody.innerHTML = variants.map(variant => `
+            <tr data-options="${escapeHtml(JSON.stringify(variant.options))}">
+                <td>${escapeHtml(describeVariant(variant))}</td>
+                <td><input type="text" class="form-control variant-sku" value="${escapeHtml(variant.sku)}" required></td>
+                <td><input type="number" class="form-control variant-price" min="0" step="0.01"
+                           value="${variant.price ?? ''}" placeholder="${t('admin.productForm.samePrice')}"></td>
+                <td><input type="number" class="form-control variant-stock" min="0" value="${variant.stock}" required></td>
+                <td><button type="button" class="btn btn--sm btn--outline remove-variant-btn">${t('common.remove')}</button></td>
+            </tr>
+        `).join('');
 
-        const checkoutBtn = document.getElementById('checkoutBtn');
-        checkoutBtn.disabled = this.cart.length === 0;
+        this.updateVariantStockTotal();
     }
 
-    renderAdminDashboard() {
-        if (!this.currentUser || this.currentUser.role !== 'admin') {
-            this.navigateTo('/');
-            return;
-        }
+    readVariantRows() {
+        return [...document.querySelectorAll('#productVariants tr')].map(row => {
+            const price = row.querySelector('.variant-price').value;
+            return {
+                sku: row.querySelector('.variant-sku').value.trim(),
+                options: JSON.parse(row.getAttribute('data-options')),
+                price: price === '' ? null : parseFloat(price),
+                stock: parseInt(row.querySelector('.variant-stock').value)
+            };
+        });
+    }
 
-        // Stats
-        const totalProducts = this.products.length;
-        const categories = [...new Set(this.products.map(p => p.category))];
-        const totalValue = this.products.reduce((sum, p) => sum + (p.price * p.stock), 0);
+    // One row per combination of option values, keeping rows that already exist
+    generateVariantRows() {
+        const options = this.parseProductOptions();
+        const existing = this.readVariantRows();
+        const prefix = document.getElementById('productName').value.toUpperCase().replace(/[^A-Z0-9]+/g, '').slice(0, 8) || 'SKU';
+
+        const combinations = options.reduce((combos, option) => combos.flatMap(combo =>
+            option.values.map(value => ({ ...combo, [option.name]: value }))
+        ), [{}]);
+
+        this.renderVariantRows(options.length === 0 ? [] : combinations.map(combo => {
+            const match = existing.find(variant => options.every(option => variant.options[option.name] === combo[option.name]));
+            return match || {
+                sku: [prefix, ...Object.values(combo)].join('-').toUpperCase().replace(/[^A-Z0-9_-]+/g, ''),
+                options: combo,
+                price: null,
+                stock: 0
+            };
+        }));
+    }
 
-        document.getElementById('totalProducts').textContent = totalProducts;
-        document.getElementById('totalCategories').textContent = categories.length;
-        document.getElementById('totalValue').textContent = `$${totalValue.toFixed(2)}`;
+    // Name and description in each of the store's other languages; empty ones fall back to the default
+    renderTranslationFields(translations) {
+        const locales = this.contentLocales
+            ? this.contentLocales.locales.filter(locale => locale !== this.contentLocales.default)
+            : [];
+        const languageNames = new Intl.DisplayNames([this.locale], { type: 'language' });
+
+        document.getElementById('productTranslations').innerHTML = locales.map(locale => {
+            const translation = translations[locale] || {};
+            return `
+                <fieldset class="product-translation" data-locale="${locale}">
+                    <legend class="form-label">${t('admin.productForm.translation', { language: languageNames.of(locale) })}</legend>
+                    <input type="text" class="form-control translation-name" value="${escapeHtml(translation.name || '')}"
+                           placeholder="${t('admin.productForm.name')}">
+                    <textarea class="form-control translation-description" rows="2"
+                              placeholder="${t('admin.productForm.description')}">${escapeHtml(translation.description || '')}</textarea>
+                </fieldset>
+            `;
+        }).join('');
+    }
 
-        // Products table
-        const tbody = document.getElementById('adminProductsBody');
-        tbody.innerHTML = this.products.map(product => `
-            <tr>
-                <td>${product.id}</td>
-                <td>${product.name}</td>
-                <td>${product.category}</td>
-                <td>$${product.price.toFixed(2)}</td>
-                <td>${product.stock}</td>
-                <td class="admin-actions">
-                    <button class="btn btn--sm btn--outline edit-product-btn" data-product-id="${product.id}">Edit</button>
-                    <button class="btn btn--sm btn--outline delete-product-btn" data-product-id="${product.id}">Delete</button>
-                </td>
-            </tr>
-        `).join('');
+    readTranslationFields() {
+        return Object.fromEntries([...document.querySelectorAll('#productTranslations .product-translation')].map(fieldset => {
+            const name = fieldset.querySelector('.translation-name').value.trim();
+            const description = fieldset.querySelector('.translation-description').value.trim();
+            const translation = {
+                ...(name ? { name } : {}),
+                ...(description ? { description } : {})
+            };
+            return [fieldset.getAttribute('data-locale'), name || description ? translation : null];
+        }));
     }
 
-    // Modal Management
-    showProductModal(product = null) {
-        const modal = document.getElementById('productModal');
-        const title = document.getElementById('modalTitle');
+    // Products with variants are stocked per variant, so the total is read-only
+    updateVariantStockTotal() {
+        const variants = this.readVariantRows();
+        const stockInput = document.getElementById('productStock');
 
-        if (product) {
-            title.textContent = 'Edit Product';
-            document.getElementById('productId').value = product.id;
-            document.getElementById('productName').value = product.name;
-            document.getElementById('productCategory').value = product.category;
-            document.getElementById('productPrice').value = product.price;
-            document.getElementById('productDescription').value = product.description;
-            document.getElementById('productStock').value = product.stock;
-            document.getElementById('productRating').value = product.rating;
-        } else {
-            title.textContent = 'Add Product';
-            document.getElementById('productForm').reset();
-            document.getElementById('productId').value = '';
+        stockInput.readOnly = variants.length > 0;
+        if (variants.length > 0) {
+            stockInput.value = variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
         }
+    }
 
-        modal.classList.remove('hidden');
+    // Shows each failing field from a VALIDATION_ERROR response under its input.
+    // Nested errors such as variants[0].sku are shown under the top-level field.
+    showProductFieldErrors(fields = []) {
+        this.clearProductFieldErrors();
+
+        fields.forEach(({ field, message }) => {
+            const input = document.getElementById(PRODUCT_FORM_FIELDS[field.split(/[.[]/)[0]]);
+            if (!input) return;
+
+            const error = document.createElement('div');
+            error.className = 'field-error';
+            error.textContent = message;
+            input.classList.add('form-control--invalid');
+            input.closest('.form-group').appendChild(error);
+        });
+    }
+
+    clearProductFieldErrors() {
+        const form = document.getElementById('productForm');
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.form-control--invalid').forEach(input => input.classList.remove('form-control--invalid'));
     }
 
     hideProductModal() {
@@ -784,7 +2887,7 @@ class AppState {
             const confirmPassword = document.getElementById('signupConfirmPassword').value;
 
             if (password !== confirmPassword) {
-                document.getElementById('signupError').textContent = 'Passwords do not match';
+                document.getElementById('signupError').textContent = t('auth.passwordMismatch');
                 return;
             }
 
@@ -798,6 +2901,34 @@ class AppState {
             await this.signup(userData);
         });
 
+        // Password reset
+        document.getElementById('forgotPasswordForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const email = document.getElementById('forgotEmail').value;
+            await this.requestPasswordReset(email);
+        });
+
+        document.getElementById('resetPasswordForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const password = document.getElementById('resetPassword').value;
+            const confirmPassword = document.getElementById('resetConfirmPassword').value;
+
+            if (password !== confirmPassword) {
+                document.getElementById('resetPasswordError').textContent = t('auth.passwordMismatch');
+                return;
+            }
+
+            if (await this.resetPassword(password)) {
+                e.target.reset();
+            }
+        });
+
+        // Email verification
+        document.getElementById('resendVerificationBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.resendVerification();
+        });
+
         // Logout
         document.getElementById('logoutBtn').addEventListener('click', (e) => {
             e.preventDefault();
@@ -805,11 +2936,23 @@ class AppState {
             this.logout();
         });
 
+        // Search and the price sliders fire on every keystroke and step, so they wait for a pause
+        const loadProductsSoon = debounce(() => this.loadProducts(), FILTER_INPUT_DELAY);
+
         // Search - Fixed to work properly
         document.getElementById('searchInput').addEventListener('input', (e) => {
             this.filters.search = e.target.value;
+
+            // Searching switches the default sort to best match, and clearing the search switches it back
+            const sortSelect = document.getElementById('sortSelect');
+            if (this.filters.search && this.filters.sortBy === 'name-asc') {
+                this.filters.sortBy = sortSelect.value = 'relevance-desc';
+            } else if (!this.filters.search && this.filters.sortBy === 'relevance-desc') {
+                this.filters.sortBy = sortSelect.value = 'name-asc';
+            }
+
             this.currentPage = 1;
-            this.loadProducts();
+            loadProductsSoon();
         });
 
         // Category filters
@@ -826,17 +2969,38 @@ class AppState {
             }
         });
 
-        // Price filters
+        // Price filters - a slider left at its end of the range means no bound
         document.getElementById('minPrice').addEventListener('input', (e) => {
-            this.filters.minPrice = parseInt(e.target.value);
-            document.getElementById('minPriceDisplay').textContent = e.target.value;
+            const value = parseInt(e.target.value);
+            this.filters.minPrice = value > Number(e.target.min) ? value : null;
+            document.getElementById('minPriceDisplay').textContent = formatMoney(value, this.priceCurrency);
             this.currentPage = 1;
-            this.loadProducts();
+            loadProductsSoon();
         });
 
         document.getElementById('maxPrice').addEventListener('input', (e) => {
-            this.filters.maxPrice = parseInt(e.target.value);
-            document.getElementById('maxPriceDisplay').textContent = e.target.value;
+            const value = parseInt(e.target.value);
+            this.filters.maxPrice = value < Number(e.target.max) ? value : null;
+            document.getElementById('maxPriceDisplay').textContent = formatMoney(value, this.priceCurrency);
+            this.currentPage = 1;
+            loadProductsSoon();
+        });
+
+        // Rating and availability filters
+        document.getElementById('ratingFilter').addEventListener('change', (e) => {
+            this.filters.minRating = e.target.value ? Number(e.target.value) : null;
+            this.currentPage = 1;
+            this.loadProducts();
+        });
+
+        document.getElementById('inStockFilter').addEventListener('change', (e) => {
+            this.filters.inStock = e.target.checked;
+            this.currentPage = 1;
+            this.loadProducts();
+        });
+
+        document.getElementById('featuredFilter').addEventListener('change', (e) => {
+            this.filters.featured = e.target.checked;
             this.currentPage = 1;
             this.loadProducts();
         });
@@ -851,21 +3015,11 @@ class AppState {
         // Clear filters
         document.getElementById('clearFilters').addEventListener('click', (e) => {
             e.preventDefault();
-            this.filters = {
-                search: '',
-                categories: [],
-                minPrice: 0,
-                maxPrice: 3000,
-                sortBy: 'name-asc'
-            };
+            this.filters = { ...DEFAULT_FILTERS, categories: [] };
             document.getElementById('searchInput').value = '';
-            document.getElementById('minPrice').value = '0';
-            document.getElementById('maxPrice').value = '3000';
-            document.getElementById('minPriceDisplay').textContent = '0';
-            document.getElementById('maxPriceDisplay').textContent = '3000';
-            document.getElementById('sortSelect').value = 'name-asc';
+            document.getElementById('sortSelect').value = this.filters.sortBy;
             this.currentPage = 1;
-            this.renderCategoryFilters();
+            // The sidebar is redrawn from the new facets
             this.loadProducts();
         });
 
@@ -874,7 +3028,40 @@ class AppState {
             if (e.target.classList.contains('add-to-cart-btn')) {
                 e.preventDefault();
                 const productId = e.target.getAttribute('data-product-id');
-                this.addToCart(productId);
+                const product = this.getProduct(productId);
+                const container = e.target.closest('.product-card, .product-detail');
+
+                // Cards add one; the product page has a quantity box
+                const quantityInput = container.querySelector('.product-detail__quantity');
+                const quantity = quantityInput ? Number(quantityInput.value) : 1;
+                if (!Number.isInteger(quantity) || quantity < 1) {
+                    this.showToast(t('product.quantityInvalid'), 'error');
+                    return;
+                }
+
+                if (product && product.variants && product.variants.length > 0) {
+                    const variant = this.getSelectedVariant(container, product);
+                    if (variant) {
+                        this.addToCart(productId, quantity, variant.sku);
+                    }
+                } else {
+                    this.addToCart(productId, quantity);
+                }
+            }
+
+            const thumb = e.target.closest('.product-detail__thumb');
+            if (thumb) {
+                e.preventDefault();
+                this.showProductImage(Number(thumb.getAttribute('data-image-index')));
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            if (e.target.classList.contains('variant-select')) {
+                const product = this.getProduct(e.target.getAttribute('data-product-id'));
+                if (product) {
+                    this.updateVariantPicker(e.target.closest('.product-card, .product-detail'), product);
+                }
             }
         });
 
@@ -883,14 +3070,15 @@ class AppState {
             if (e.target.classList.contains('quantity-btn')) {
                 e.preventDefault();
                 const productId = e.target.getAttribute('data-product-id');
+                const sku = e.target.getAttribute('data-sku');
                 const action = e.target.getAttribute('data-action');
-                const currentItem = this.cart.find(item => item.productId === productId);
+                const currentItem = this.findCartItem(productId, sku);
 
                 if (currentItem) {
                     const newQuantity = action === 'increase' ?
                         currentItem.quantity + 1 :
                         currentItem.quantity - 1;
-                    this.updateCartQuantity(productId, newQuantity);
+                    this.updateCartQuantity(productId, newQuantity, sku);
                     this.renderCart();
                 }
             }
@@ -902,14 +3090,14 @@ class AppState {
                 e.preventDefault();
                 const btn = e.target.classList.contains('remove-item-btn') ? e.target : e.target.closest('.remove-item-btn');
                 const productId = btn.getAttribute('data-product-id');
-                this.removeFromCart(productId);
+                this.removeFromCart(productId, btn.getAttribute('data-sku'));
                 this.renderCart();
             }
         });
 
         // Pagination
         document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('page-btn') && e.target.hasAttribute('data-page')) {
+            if (e.target.classList.contains('page-btn') && e.target.hasAttribute('data-page') && e.target.closest('#pagination')) {
                 e.preventDefault();
                 const page = parseInt(e.target.getAttribute('data-page'));
                 if (page > 0) {
@@ -925,25 +3113,78 @@ class AppState {
             this.showProductModal();
         });
 
+        // Admin tabs and activity
+        document.querySelectorAll('.admin-tab').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showAdminTab(button.getAttribute('data-admin-tab'));
+            });
+        });
+
+        document.getElementById('auditFilters').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadAuditLog();
+        });
+
+        document.getElementById('clearAuditFilters').addEventListener('click', (e) => {
+            e.preventDefault();
+            document.getElementById('auditFilters').reset();
+            this.loadAuditLog();
+        });
+
+        document.getElementById('auditPagination').addEventListener('click', (e) => {
+            if (e.target.classList.contains('audit-page-btn') && !e.target.disabled) {
+                e.preventDefault();
+                this.loadAuditLog(Number(e.target.getAttribute('data-page')));
+            }
+        });
+
+        // Bulk import and export
+        document.querySelectorAll('.export-products-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.downloadProductExport(button.getAttribute('data-format'));
+            });
+        });
+
+        document.getElementById('importProductsBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showImportWizard();
+        });
+
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.previewImport(e.target.files[0]);
+            }
+        });
+
+        document.getElementById('cancelImportBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.hideImportWizard();
+        });
+
+        document.getElementById('confirmImportBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.confirmImport();
+        });
+
         document.addEventListener('click', (e) => {
             if (e.target.classList.contains('edit-product-btn')) {
                 e.preventDefault();
-                const productId = e.target.getAttribute('data-product-id');
-                const product = this.products.find(p => p.id === productId);
-                this.showProductModal(product);
+                this.editProduct(e.target.getAttribute('data-product-id'));
             }
 
             if (e.target.classList.contains('delete-product-btn')) {
                 e.preventDefault();
                 const productId = e.target.getAttribute('data-product-id');
-                if (confirm('Are you sure you want to delete this product?')) {
+                if (confirm(t('admin.products.confirmDelete'))) {
                     this.deleteProduct(productId);
                 }
             }
         });
 
         // Product form
-        document.getElementById('productForm').addEventListener('submit', (e) => {
+        document.getElementById('productForm').addEventListener('submit', async (e) => {
             e.preventDefault();
             const productData = {
                 name: document.getElementById('productName').value,
@@ -951,18 +3192,82 @@ class AppState {
                 price: parseFloat(document.getElementById('productPrice').value),
                 description: document.getElementById('productDescription').value,
                 stock: parseInt(document.getElementById('productStock').value),
-                rating: parseFloat(document.getElementById('productRating').value),
-                image: 'book' // Default image
+                sku: document.getElementById('productSku').value.trim() || null,
+                options: this.parseProductOptions(),
+                variants: this.readVariantRows()
             };
+            // Left out if the store's languages couldn't be loaded, so saving doesn't wipe them
+            const translations = this.readTranslationFields();
+            if (Object.keys(translations).length > 0) {
+                productData.translations = translations;
+            }
 
             const productId = document.getElementById('productId').value;
-            if (productId) {
-                this.updateProduct(productId, productData);
-            } else {
-                this.addProduct(productData);
+            // New products get the default icon; edits keep whatever icon they have
+            if (!productId) {
+                productData.image = 'book';
             }
+            const saved = productId
+                ? await this.updateProduct(productId, productData)
+                : await this.addProduct(productData);
 
-            this.hideProductModal();
+            // Keep the modal open on failure so field errors can be fixed
+            if (saved) {
+                this.hideProductModal();
+            }
+        });
+
+        // Variant editing
+        document.getElementById('generateVariantsBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.generateVariantRows();
+        });
+
+        document.getElementById('productVariants').addEventListener('click', (e) => {
+            if (e.target.classList.contains('remove-variant-btn')) {
+                e.preventDefault();
+                e.target.closest('tr').remove();
+                this.updateVariantStockTotal();
+            }
+        });
+
+        document.getElementById('productVariants').addEventListener('input', (e) => {
+            if (e.target.classList.contains('variant-stock')) {
+                this.updateVariantStockTotal();
+            }
+        });
+
+        // Product images
+        document.getElementById('uploadImageBtn').addEventListener('click', async (e) => {
+            e.preventDefault();
+            const fileInput = document.getElementById('productImageFile');
+            const productId = document.getElementById('productId').value;
+
+            if (fileInput.files.length === 0) {
+                this.showToast(t('admin.images.chooseFile'), 'info');
+                return;
+            }
+
+            if (await this.uploadProductImage(productId, fileInput.files[0])) {
+                fileInput.value = '';
+            }
+        });
+
+        document.getElementById('productImages').addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            e.preventDefault();
+            const productId = document.getElementById('productId').value;
+            const imageId = button.getAttribute('data-image-id');
+
+            if (button.classList.contains('move-image-btn')) {
+                this.moveProductImage(productId, imageId, Number(button.getAttribute('data-direction')));
+            }
+
+            if (button.classList.contains('delete-image-btn') && confirm(t('admin.images.confirmRemove'))) {
+                this.deleteProductImage(productId, imageId);
+            }
         });
 
         // Modal controls
@@ -981,25 +3286,225 @@ class AppState {
             this.hideProductModal();
         });
 
+        // Reviews
+        document.addEventListener('click', (e) => {
+            const reviewsLink = e.target.closest('.reviews-link');
+            if (reviewsLink) {
+                e.preventDefault();
+                this.showReviewsModal(reviewsLink.getAttribute('data-product-id'));
+            }
+
+            if (e.target.classList.contains('moderate-review-btn')) {
+                e.preventDefault();
+                const reviewId = e.target.getAttribute('data-review-id');
+                this.moderateReview(reviewId, e.target.getAttribute('data-hidden') === 'true');
+            }
+
+            if (e.target.classList.contains('delete-review-btn')) {
+                e.preventDefault();
+                const reviewId = e.target.getAttribute('data-review-id');
+                if (confirm(t('admin.reviews.confirmDelete'))) {
+                    this.deleteReview(reviewId);
+                }
+            }
+        });
+
+        document.getElementById('reviewForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!this.reviewProductId) return;
+
+            const rating = parseInt(document.getElementById('reviewRating').value);
+            const text = document.getElementById('reviewText').value;
+            this.submitReview(this.reviewProductId, rating, text);
+        });
+
+        document.getElementById('closeReviewsModal').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.hideReviewsModal();
+        });
+
+        document.querySelector('#reviewsModal .modal__backdrop').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.hideReviewsModal();
+        });
+
+        // Connection. The browser's events are a hint; whether the API answers is what counts,
+        // so coming back online reloads the products, which sends any queued cart changes.
+        window.addEventListener('offline', () => this.setOnline(false));
+        window.addEventListener('online', () => this.loadProducts());
+
+        // Language and currency
+        document.getElementById('localeSelect').addEventListener('change', (e) => {
+            this.setLocale(e.target.value);
+        });
+
+        document.getElementById('currencySelect').addEventListener('change', (e) => {
+            this.setCurrency(e.target.value);
+        });
+
+        // Shipping region
+        document.getElementById('regionSelect').addEventListener('change', (e) => {
+            this.setRegion(e.target.value);
+        });
+
+        // Coupons
+        document.getElementById('couponForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const code = document.getElementById('couponCode').value.trim();
+            if (code) {
+                this.applyCoupon(code);
+            }
+        });
+
+        document.getElementById('removeCouponBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.removeCoupon();
+        });
+
+        document.getElementById('couponAdminForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const categories = document.getElementById('newCouponCategories').value
+                .split(',')
+                .map(category => category.trim())
+                .filter(Boolean);
+
+            const saved = await this.saveCoupon(null, {
+                code: document.getElementById('newCouponCode').value,
+                type: document.getElementById('newCouponType').value,
+                value: parseFloat(document.getElementById('newCouponValue').value) || 0,
+                minSubtotal: parseFloat(document.getElementById('newCouponMinSubtotal').value) || 0,
+                categories,
+                expiresAt: document.getElementById('newCouponExpiresAt').value || null,
+                usageLimit: parseInt(document.getElementById('newCouponUsageLimit').value) || null
+            });
+
+            if (saved) {
+                e.target.reset();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('toggle-coupon-btn')) {
+                e.preventDefault();
+                const couponId = e.target.getAttribute('data-coupon-id');
+                this.saveCoupon(couponId, { active: e.target.getAttribute('data-active') === 'true' });
+            }
+
+            if (e.target.classList.contains('delete-coupon-btn')) {
+                e.preventDefault();
+                const couponId = e.target.getAttribute('data-coupon-id');
+                if (confirm(t('admin.coupons.confirmDelete'))) {
+                    this.deleteCoupon(couponId);
+                }
+            }
+        });
+
         // Checkout button
         document.getElementById('checkoutBtn').addEventListener('click', (e) => {
             e.preventDefault();
-            if (this.currentUser) {
-                this.showToast('Checkout functionality would be implemented here!', 'info');
+            if (this.currentUser && !this.currentUser.emailVerified) {
+                this.showToast(t('cart.verifyToCheckout'), 'info');
+            } else if (this.currentUser) {
+                this.placeOrder();
             } else {
-                this.showToast('Please login to proceed with checkout', 'info');
+                this.showToast(t('cart.loginToCheckout'), 'info');
                 this.navigateTo('/login');
             }
         });
     }
 
     // Routing
+    // The URL holds the page and, on the home page, the filters, so any view can be
+    // bookmarked, shared, refreshed and reached with the back button
     setupRouting() {
-        this.currentRoute = '/';
+        const { route, params } = this.readLocation();
+        this.currentRoute = route;
+        if (route === '/') {
+            this.restoreFilters(params);
+        }
+
+        // Links in emails open the app with a token in the query string
+        const emailParams = new URLSearchParams(window.location.search);
+        if (emailParams.has('resetToken')) {
+            this.resetToken = emailParams.get('resetToken');
+            this.currentRoute = '/reset-password';
+        }
+        if (emailParams.has('verifyToken')) {
+            this.verifyEmail(emailParams.get('verifyToken'));
+        }
+
+        // Rewrite the URL in its usual form, which also keeps tokens out of the
+        // address bar and browser history
+        history.replaceState(null, '', this.routeUrl(this.currentRoute));
+
+        window.addEventListener('popstate', () => {
+            const { route, params } = this.readLocation();
+            this.hideReviewsModal();
+            this.currentRoute = route;
+            if (route === '/') {
+                this.restoreFilters(params);
+                history.replaceState(null, '', this.routeUrl(route));
+                // Back and forward can change the filters
+                this.loadProducts();
+            }
+            this.renderCurrentPage();
+        });
+    }
+
+    // Route and parameters from the address bar
+    readLocation() {
+        if (ROUTER_MODE === 'hash') {
+            // The base only lets URL parse the fragment; it never reaches the page
+            const url = new URL(window.location.hash.slice(1) || '/', 'http://techmart.local');
+            return { route: url.pathname, params: url.searchParams };
+        }
+        return { route: window.location.pathname, params: new URLSearchParams(window.location.search) };
+    }
+
+    routeUrl(route) {
+        const query = route === '/' ? filtersToQuery(this.filters, this.currentPage).toString() : '';
+        const path = query ? `${route}?${query}` : route;
+        return ROUTER_MODE === 'hash' ? `${window.location.pathname}#${path}` : path;
+    }
+
+    locationUrl() {
+        const { pathname, search, hash } = window.location;
+        return ROUTER_MODE === 'hash' ? `${pathname}${hash}` : `${pathname}${search}`;
+    }
+
+    restoreFilters(params) {
+        const { filters, page } = filtersFromQuery(params);
+        this.filters = filters;
+        this.currentPage = page;
+        document.getElementById('searchInput').value = filters.search;
+        document.getElementById('sortSelect').value = filters.sortBy;
+    }
+
+    // Each filter change gets a history entry, except that a quick burst of them shares one
+    updateFilterUrl() {
+        const url = this.routeUrl('/');
+        if (url === this.locationUrl()) return;
+
+        const now = Date.now();
+        if (now - this.lastFilterPush < FILTER_HISTORY_DELAY) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+        this.lastFilterPush = now;
     }
 
-    navigateTo(route) {
+    // Redirects replace the current entry so the back button doesn't bounce into them again
+    navigateTo(route, { replace = false } = {}) {
+        this.hideReviewsModal();
         this.currentRoute = route;
+
+        const url = this.routeUrl(route);
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else if (url !== this.locationUrl()) {
+            history.pushState(null, '', url);
+        }
         this.renderCurrentPage();
     }
 
@@ -1009,11 +3514,18 @@ class AppState {
             page.classList.add('hidden');
         });
 
+        // Product pages carry the product's id: /product/product3
+        const productMatch = this.currentRoute.match(/^\/product\/([^/]+)$/);
+        if (productMatch) {
+            document.getElementById('productPage').classList.remove('hidden');
+            this.loadProductDetail(decodeURIComponent(productMatch[1]));
+            return;
+        }
+
         // Show current page
         switch (this.currentRoute) {
             case '/':
                 document.getElementById('homePage').classList.remove('hidden');
-                this.loadProducts();
                 break;
             case '/login':
                 document.getElementById('loginPage').classList.remove('hidden');
@@ -1021,20 +3533,51 @@ class AppState {
             case '/signup':
                 document.getElementById('signupPage').classList.remove('hidden');
                 break;
+            case '/forgot-password':
+                document.getElementById('forgotPasswordMessage').textContent = '';
+                document.getElementById('forgotPasswordPage').classList.remove('hidden');
+                break;
+            case '/reset-password':
+                if (this.resetToken) {
+                    document.getElementById('resetPasswordPage').classList.remove('hidden');
+                } else {
+                    this.navigateTo('/forgot-password', { replace: true });
+                }
+                break;
             case '/cart':
                 document.getElementById('cartPage').classList.remove('hidden');
                 this.renderCart();
                 break;
+            case '/orders':
+                if (this.currentUser) {
+                    document.getElementById('ordersPage').classList.remove('hidden');
+                    this.loadOrders();
+                } else if (this.apiToken && this.sessionPending) {
+                    // Opened from a link before the session finished loading
+                    this.sessionReady.then(() => this.renderCurrentPage());
+                } else if (this.apiToken) {
+                    // Signed in, but the session couldn't be checked while offline
+                    document.getElementById('ordersPage').classList.remove('hidden');
+                    this.renderOrdersUnavailable();
+                } else {
+                    this.navigateTo('/login', { replace: true });
+                }
+                break;
             case '/admin':
                 if (this.currentUser && this.currentUser.role === 'admin') {
                     document.getElementById('adminPage').classList.remove('hidden');
                     this.renderAdminDashboard();
+                } else if (this.apiToken && !this.currentUser && this.sessionPending) {
+                    this.sessionReady.then(() => this.renderCurrentPage());
+                } else if (this.apiToken && !this.currentUser) {
+                    this.showToast(t('offline.unreachable'), 'error');
+                    this.navigateTo('/', { replace: true });
                 } else {
-                    this.navigateTo('/');
+                    this.navigateTo('/', { replace: true });
                 }
                 break;
             default:
-                this.navigateTo('/');
+                this.navigateTo('/', { replace: true });
         }
     }
 
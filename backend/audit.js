@@ -0,0 +1,97 @@
+// Audit log
+// Every admin change to the catalog and every change to an account is recorded with
+// who made it, when, and which fields changed from what to what. The log is append-only:
+// AuditLog can add and read entries but has no way to edit or delete them.
+
+// Kept out of entries entirely - only the fact that they changed is recorded
+const REDACTED_FIELDS = ['password'];
+
+// Bookkeeping that changes with everything and says nothing on its own
+const IGNORED_FIELDS = ['updatedAt'];
+
+const MAX_PAGE_SIZE = 100;
+
+// A missing list and an empty one mean the same thing, e.g. a product without variants
+const isEmpty = (value) => value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+
+const sameValue = (a, b) => (isEmpty(a) && isEmpty(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+// Field-by-field differences, e.g. { price: { from: 199, to: 179 } }. Creates have
+// no `before` and deletes no `after`, so every field shows up as added or removed.
+const diff = (before = null, after = null) => {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (sameValue(from, to)) return;
+
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { redacted: true }
+            : { from: from ?? null, to: to ?? null };
+    });
+
+    return changes;
+};
+
+// Who did it, as it was at the time - the account may change or go away later
+const describeActor = (user) => user
+    ? { id: user.id, email: user.email, name: `${user.firstName} ${user.lastName}`, role: user.role }
+    : null;
+
+class AuditLog {
+    constructor(collection) {
+        this.entries = collection;
+    }
+
+    // entity is { type, id, label } where label is a readable name such as the product's
+    record({ actor, action, entity, before, after }) {
+        return this.entries.insert({
+            at: new Date().toISOString(),
+            actor: describeActor(actor),
+            action,
+            entity,
+            changes: diff(before, after)
+        });
+    }
+
+    // Newest first. Filters: entityType, entityId, actor (user id or part of an email),
+    // action, from and to (dates, inclusive).
+    query({ entityType, entityId, actor, action, from, to, page = 1, limit = 50 } = {}) {
+        const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+        const currentPage = Math.max(Number(page) || 1, 1);
+        const start = from ? new Date(from) : null;
+        const end = to ? new Date(to) : null;
+        // A bare date as the end of the range means the whole of that day
+        if (end && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+        const actorQuery = actor ? String(actor).toLowerCase() : null;
+
+        const matches = this.entries
+            .filter(entry => {
+                if (entityType && entry.entity.type !== entityType) return false;
+                if (entityId && String(entry.entity.id) !== String(entityId)) return false;
+                if (action && entry.action !== action) return false;
+                if (actorQuery && !(entry.actor && (String(entry.actor.id) === actorQuery ||
+                    entry.actor.email.toLowerCase().includes(actorQuery)))) return false;
+                if (start && new Date(entry.at) < start) return false;
+                if (end && new Date(entry.at) > end) return false;
+                return true;
+            })
+            .sort((a, b) => new Date(b.at) - new Date(a.at) || b.id - a.id);
+
+        return {
+            entries: matches.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+            pagination: {
+                currentPage,
+                totalPages: Math.ceil(matches.length / pageSize),
+                totalItems: matches.length,
+                itemsPerPage: pageSize
+            }
+        };
+    }
+}
+
+module.exports = { AuditLog, diff };
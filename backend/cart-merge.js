@@ -0,0 +1,90 @@
+// Guest cart merging
+// Shoppers who aren't signed in get an anonymous cart on the server. When they sign in,
+// its lines are merged into their account's cart with one of these strategies for
+// lines that are in both:
+//   sum    - add the two quantities together
+//   max    - keep whichever quantity is larger
+//   server - keep the account's quantity and drop the guest one
+// Lines only in the guest cart are always added. Every quantity is capped at the stock
+// still available, and the report says what was merged, what was cut back and what was
+// dropped, so the shopper can be told.
+
+const MERGE_STRATEGIES = ['sum', 'max', 'server'];
+const DEFAULT_MERGE_STRATEGY = 'sum';
+
+// Why a guest line didn't make it into the account's cart
+const DROP_REASONS = {
+    UNAVAILABLE: 'is no longer available',
+    OUT_OF_STOCK: 'is out of stock',
+    KEPT_SERVER: 'was already in your cart'
+};
+
+const sameLine = (a, b) => String(a.productId) === String(b.productId) && (a.sku || null) === (b.sku || null);
+
+const combine = (strategy, serverQuantity, guestQuantity) => {
+    if (strategy === 'max') return Math.max(serverQuantity, guestQuantity);
+    if (strategy === 'server') return serverQuantity;
+    return serverQuantity + guestQuantity;
+};
+
+// `findLine(item)` returns { product, variant } or null when the item can no longer be
+// bought, `availableFor(line)` the stock the account can still take and `describe(line)`
+// the line's name. Returns the account cart's new items plus the report:
+// { items, merged: [...], dropped: [...] }
+const mergeCartItems = (serverItems, guestItems, { strategy = DEFAULT_MERGE_STRATEGY, findLine, availableFor, describe, reservedUntil }) => {
+    const items = serverItems.map(item => ({ ...item }));
+    const merged = [];
+    const dropped = [];
+
+    guestItems.forEach(guestItem => {
+        const guestQuantity = Number(guestItem.quantity);
+        const line = findLine(guestItem);
+        const name = line ? describe(line) : 'A product';
+        const drop = (code) => dropped.push({
+            productId: guestItem.productId,
+            sku: guestItem.sku || null,
+            name,
+            quantity: guestQuantity,
+            reason: code,
+            message: `${name} ${DROP_REASONS[code]}`
+        });
+
+        if (!line) return drop('UNAVAILABLE');
+
+        const existing = items.find(item => sameLine(item, guestItem));
+        const serverQuantity = existing ? Number(existing.quantity) : 0;
+        if (existing && strategy === 'server') return drop('KEPT_SERVER');
+
+        const wanted = existing ? combine(strategy, serverQuantity, guestQuantity) : guestQuantity;
+        // Never take away what the account already had, even if stock has since run low
+        const quantity = Math.max(Math.min(wanted, availableFor(line)), serverQuantity);
+        if (quantity === 0) return drop('OUT_OF_STOCK');
+
+        if (existing) {
+            existing.quantity = quantity;
+            existing.reservedUntil = reservedUntil;
+        } else {
+            items.push({
+                productId: guestItem.productId,
+                sku: guestItem.sku || null,
+                quantity,
+                addedAt: guestItem.addedAt || new Date(),
+                reservedUntil
+            });
+        }
+
+        merged.push({
+            productId: guestItem.productId,
+            sku: guestItem.sku || null,
+            name,
+            guestQuantity,
+            serverQuantity,
+            quantity,
+            limitedByStock: quantity < wanted
+        });
+    });
+
+    return { items, merged, dropped };
+};
+
+module.exports = { MERGE_STRATEGIES, DEFAULT_MERGE_STRATEGY, mergeCartItems };
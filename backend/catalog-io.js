@@ -0,0 +1,239 @@
+// Bulk product import and export
+// The catalog can be exported as CSV or JSON and the same files imported again. Rows
+// with an id update that product, rows with a known SKU update the product with that
+// SKU, and anything else is created. CSV has one row per product; options, variants
+// and translations don't fit in a cell as plain text, so those columns hold JSON.
+// An import is planned first - every row matched and validated - and only applied
+// when no row has errors, so a file is imported whole or not at all.
+
+const { validate } = require('./validation');
+const { productSchema } = require('./schemas');
+const { normalizeSku, validateVariantData } = require('./variants');
+
+const COLUMNS = ['id', 'sku', 'name', 'category', 'price', 'description', 'stock', 'image', 'weight', 'featured', 'options', 'variants', 'translations'];
+const JSON_COLUMNS = ['options', 'variants', 'translations'];
+const MAX_IMPORT_ROWS = 1000;
+
+// Thrown when the file as a whole can't be read, as opposed to a row being wrong
+class ImportFileError extends Error {}
+
+// Spreadsheets run cells starting with these as formulas, so exports prefix them with '
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new ImportFileError('The CSV has a quote that is never closed');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines aren't rows
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// What gets exported for a product - everything an import can set, plus its id
+const exportFields = (product) => ({
+    id: product._id,
+    sku: product.sku || null,
+    name: product.name,
+    category: product.category,
+    price: product.price,
+    description: product.description,
+    stock: product.stock,
+    image: product.image,
+    weight: product.weight ?? null,
+    featured: Boolean(product.featured),
+    options: product.options || [],
+    variants: product.variants || [],
+    translations: product.translations || {}
+});
+
+const exportProducts = (products, format) => {
+    const rows = products.map(exportFields);
+    if (format === 'json') {
+        return JSON.stringify(rows, null, 2);
+    }
+    return [COLUMNS, ...rows.map(row => COLUMNS.map(column => row[column]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\r\n');
+};
+
+// Rows of a CSV file as { line, data, errors }; empty cells are left out so
+// updates only change the columns that were filled in
+const readCsvRows = (content) => {
+    const [header, ...rows] = parseCsv(content.replace(/^﻿/, ''));
+    if (!header) {
+        throw new ImportFileError('The file is empty');
+    }
+    const columns = header.map(name => name.trim());
+
+    return rows.map((cells, index) => {
+        const data = {};
+        const errors = [];
+        cells.forEach((raw, column) => {
+            const name = columns[column] || `column ${column + 1}`;
+            let value = raw.trim();
+            if (value === '') return;
+            if (value.startsWith("'") && FORMULA_START.test(value.slice(1))) value = value.slice(1);
+
+            if (JSON_COLUMNS.includes(name)) {
+                try {
+                    data[name] = JSON.parse(value);
+                } catch (error) {
+                    errors.push({ field: name, message: `${name} must be JSON, as in an exported file` });
+                }
+            } else {
+                data[name] = value;
+            }
+        });
+        // Line numbers as a spreadsheet shows them, counting the header
+        return { line: index + 2, data, errors };
+    });
+};
+
+const readJsonRows = (content) => {
+    let items;
+    try {
+        items = JSON.parse(content);
+    } catch (error) {
+        throw new ImportFileError('The file is not valid JSON');
+    }
+    if (!Array.isArray(items)) {
+        throw new ImportFileError('The JSON must be a list of products');
+    }
+
+    return items.map((item, index) => {
+        const isObject = item !== null && typeof item === 'object' && !Array.isArray(item);
+        return {
+            line: index + 1,
+            data: isObject ? item : {},
+            errors: isObject ? [] : [{ field: '', message: 'Each entry must be a product object' }]
+        };
+    });
+};
+
+const readImportRows = (format, content) => {
+    const rows = format === 'json' ? readJsonRows(content) : readCsvRows(content);
+    if (rows.length === 0) {
+        throw new ImportFileError('The file has no products in it');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new ImportFileError(`Import at most ${MAX_IMPORT_ROWS} products at a time`);
+    }
+    return rows;
+};
+
+// Match and validate every row. `findProduct` looks a product up by id and
+// `findProductBySku` by its SKU. Returns one entry per row:
+// { line, action: 'create' | 'update', product, name, changes, errors }
+const planImport = (rows, { findProduct, findProductBySku }) => {
+    const seenProducts = new Set();
+    const seenSkus = new Set();
+
+    return rows.map(({ line, data, errors: readErrors }) => {
+        const { id, ...fields } = data;
+        const errors = [...readErrors];
+        const sku = fields.sku ? normalizeSku(fields.sku) : null;
+
+        let product = null;
+        if (id !== undefined && id !== null && id !== '') {
+            product = findProduct(String(id));
+            if (!product) {
+                errors.push({ field: 'id', message: `No product has id ${id}` });
+            }
+        } else if (sku) {
+            product = findProductBySku(sku);
+        }
+
+        // New products need every required field; updates only what they change
+        const { value: changes, errors: fieldErrors } = validate(productSchema, fields, { partial: Boolean(product) });
+        errors.push(...fieldErrors);
+
+        if (fieldErrors.length === 0) {
+            const options = changes.options || (product && product.options) || [];
+            const variants = changes.variants || (product && product.variants) || [];
+            const variantError = validateVariantData(options, variants);
+            if (variantError) {
+                errors.push({ field: 'variants', message: variantError });
+            }
+        }
+
+        if (sku) {
+            changes.sku = sku;
+            const owner = findProductBySku(sku);
+            if (owner && product && owner.id !== product.id) {
+                errors.push({ field: 'sku', message: `SKU ${sku} is already used by ${owner.name}` });
+            }
+            if (seenSkus.has(sku)) {
+                errors.push({ field: 'sku', message: `SKU ${sku} is in an earlier row too` });
+            }
+            seenSkus.add(sku);
+        }
+
+        if (product) {
+            if (seenProducts.has(product.id)) {
+                errors.push({ field: 'id', message: `${product.name} is in an earlier row too` });
+            }
+            seenProducts.add(product.id);
+        }
+
+        return {
+            line,
+            action: product ? 'update' : 'create',
+            product,
+            name: changes.name || (product && product.name) || '',
+            changes,
+            errors
+        };
+    });
+};
+
+module.exports = {
+    COLUMNS,
+    MAX_IMPORT_ROWS,
+    ImportFileError,
+    parseCsv,
+    exportProducts,
+    readImportRows,
+    planImport
+};
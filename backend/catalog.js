@@ -0,0 +1,99 @@
+// Product listing filters and facet counts
+// Facets describe the current query so the sidebar can show how many products each
+// choice would leave. Every facet ignores its own filter - ticking Books still shows
+// how many Electronics there are - but honours all the others.
+
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+const PRICE_BUCKETS = 5;
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// category may be repeated (?category=A&category=B) or comma-separated
+const parseProductFilters = (query) => ({
+    categories: [].concat(query.category || [])
+        .flatMap(category => String(category).split(','))
+        .map(category => category.trim())
+        .filter(Boolean),
+    minPrice: toNumber(query.minPrice),
+    maxPrice: toNumber(query.maxPrice),
+    minRating: toNumber(query.minRating),
+    inStock: isTrue(query.inStock),
+    featured: isTrue(query.featured)
+});
+
+const FILTERS = {
+    category: (product, filters) => filters.categories.length === 0 || filters.categories.includes(product.category),
+    price: (product, filters) => (filters.minPrice === null || product.price >= filters.minPrice) &&
+        (filters.maxPrice === null || product.price <= filters.maxPrice),
+    rating: (product, filters) => filters.minRating === null || product.rating >= filters.minRating,
+    inStock: (product, filters) => !filters.inStock || product.stock > 0,
+    featured: (product, filters) => !filters.featured || Boolean(product.featured)
+};
+
+// Apply every filter except the ones named in `except`
+const filterProducts = (products, filters, except = []) => {
+    const active = Object.entries(FILTERS).filter(([name]) => !except.includes(name));
+    return products.filter(product => active.every(([, test]) => test(product, filters)));
+};
+
+// Round a bucket width to 1, 2 or 5 times a power of ten so the labels read well
+const niceStep = (range) => {
+    if (range <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(range)));
+    const fraction = range / magnitude;
+    return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * magnitude;
+};
+
+const priceFacet = (products) => {
+    if (products.length === 0) {
+        return { min: 0, max: 0, buckets: [] };
+    }
+
+    const prices = products.map(product => product.price);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const step = niceStep((max - min) / PRICE_BUCKETS);
+    const start = Math.floor(min / step) * step;
+    const count = Math.max(1, Math.ceil((max - start) / step));
+
+    const buckets = Array.from({ length: count }, (_, index) => ({
+        from: start + index * step,
+        to: start + (index + 1) * step,
+        count: 0
+    }));
+    // The top price goes in the last bucket rather than one of its own
+    prices.forEach(price => {
+        buckets[Math.min(Math.floor((price - start) / step), count - 1)].count++;
+    });
+
+    return { min, max, buckets };
+};
+
+// `products` is everything that matches the search; `allCategories` keeps categories
+// with no matches in the list (with a count of 0) so ticked boxes don't disappear
+const buildFacets = (products, filters, allCategories) => {
+    const forCategories = filterProducts(products, filters, ['category']);
+    const forRatings = filterProducts(products, filters, ['rating']);
+
+    return {
+        categories: allCategories.map(name => ({
+            name,
+            count: forCategories.filter(product => product.category === name).length
+        })),
+        price: priceFacet(filterProducts(products, filters, ['price'])),
+        ratings: RATING_THRESHOLDS.map(minRating => ({
+            minRating,
+            count: forRatings.filter(product => product.rating >= minRating).length
+        })),
+        inStock: filterProducts(products, filters, ['inStock']).filter(product => product.stock > 0).length,
+        featured: filterProducts(products, filters, ['featured']).filter(product => product.featured).length
+    };
+};
+
+module.exports = { parseProductFilters, filterProducts, buildFacets };
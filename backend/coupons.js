@@ -0,0 +1,81 @@
+// Coupon rules
+// Pure functions so the cart and checkout routes apply exactly the same logic.
+// Amounts are in the base currency (see currency.js).
+
+const { formatMoney, roundMoney } = require('./currency');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const reject = (error, code) => ({ valid: false, error, code });
+
+// Check a coupon against the cart lines ({ product, quantity }) and work out the discount.
+// Category-restricted coupons only discount the matching lines; minSubtotal is checked
+// against the whole cart.
+const applyCoupon = (coupon, lines, now = new Date()) => {
+    if (!coupon) {
+        return reject('Coupon code not found', 'COUPON_NOT_FOUND');
+    }
+
+    if (!coupon.active) {
+        return reject('This coupon is no longer active', 'COUPON_INACTIVE');
+    }
+
+    if (coupon.expiresAt && new Date(coupon.expiresAt) < now) {
+        return reject('This coupon has expired', 'COUPON_EXPIRED');
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        return reject('This coupon has reached its usage limit', 'COUPON_USAGE_LIMIT');
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.product.price * line.quantity, 0);
+    if (coupon.minSubtotal && subtotal < coupon.minSubtotal) {
+        return reject(`Spend at least ${formatMoney(coupon.minSubtotal)} to use this coupon`, 'COUPON_MIN_SUBTOTAL');
+    }
+
+    const eligibleLines = coupon.categories && coupon.categories.length > 0
+        ? lines.filter(line => coupon.categories.includes(line.product.category))
+        : lines;
+    if (eligibleLines.length === 0) {
+        return reject(`This coupon only applies to ${coupon.categories.join(', ')}`, 'COUPON_NOT_APPLICABLE');
+    }
+
+    const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.product.price * line.quantity, 0);
+
+    let discount = 0;
+    if (coupon.type === 'percentage') {
+        discount = eligibleSubtotal * coupon.value / 100;
+    } else if (coupon.type === 'fixed') {
+        discount = Math.min(coupon.value, eligibleSubtotal);
+    }
+
+    return {
+        valid: true,
+        discount: roundMoney(discount),
+        freeShipping: coupon.type === 'free_shipping'
+    };
+};
+
+// Validate admin input for a coupon; returns an error message or null
+const validateCouponData = (data) => {
+    if (!normalizeCode(data.code) || !/^[A-Z0-9_-]+$/.test(normalizeCode(data.code))) {
+        return 'Code is required and may only contain letters, numbers, - and _';
+    }
+    if (!COUPON_TYPES.includes(data.type)) {
+        return `Type must be one of ${COUPON_TYPES.join(', ')}`;
+    }
+    if (data.type !== 'free_shipping' && !(Number(data.value) > 0)) {
+        return 'Value must be greater than 0';
+    }
+    if (data.type === 'percentage' && Number(data.value) > 100) {
+        return 'A percentage discount cannot be more than 100';
+    }
+    if (data.expiresAt && isNaN(new Date(data.expiresAt))) {
+        return 'Expiry date is not a valid date';
+    }
+    return null;
+};
+
+module.exports = { COUPON_TYPES, normalizeCode, applyCoupon, validateCouponData };
@@ -0,0 +1,284 @@
+// Currencies and money
+// Product prices, order amounts and coupon amounts are stored as whole numbers of the
+// base currency's minor unit (cents for USD, yen for JPY) so stored amounts never pick up
+// floating point drift. Inside the server everything works in base-currency major units
+// (199.99); prices are only converted to the shopper's currency on the way out, using the
+// exchange-rate table that admins maintain.
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Rates are how much of a currency one unit of the base currency buys
+const DEFAULT_EXCHANGE_RATES = { EUR: 0.92, GBP: 0.79, CAD: 1.37, JPY: 150 };
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+const currencyNames = new Intl.DisplayNames(['en'], { type: 'currency' });
+
+const isSupportedCurrency = (code) => SUPPORTED_CURRENCIES.has(code);
+
+// Decimal places of the minor unit: 2 for USD, 0 for JPY, 3 for KWD
+const minorDigits = (currency) => {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+};
+
+const toMinorUnits = (amount, currency = BASE_CURRENCY) => Math.round(amount * 10 ** minorDigits(currency));
+
+const fromMinorUnits = (minor, currency = BASE_CURRENCY) => minor / 10 ** minorDigits(currency);
+
+// An amount rounded to the currency's minor unit: 2 places for USD, none for JPY
+const roundMoney = (amount, currency = BASE_CURRENCY) => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+// For messages the server writes itself, e.g. "Spend at least $100.00"
+const formatMoney = (amount, currency = BASE_CURRENCY) => {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).format(amount);
+};
+
+// A base-currency amount in another currency, rounded to that currency's minor unit.
+// null stays null, e.g. a variant that uses its product's price.
+const convertAmount = (amount, { currency, rate }) => {
+    if (amount === null || amount === undefined) return amount;
+    return fromMinorUnits(toMinorUnits(amount * rate, currency), currency);
+};
+
+// Records as stored: each of `fields` that is set moves to `<field>Minor` as a whole
+// number of `currency`'s minor unit. null stays null.
+const encodeAmounts = (record, fields, currency) => Object.fromEntries(Object.entries(record).map(([key, value]) => (
+    fields.includes(key) && value !== undefined
+        ? [`${key}Minor`, value === null ? null : toMinorUnits(value, currency)]
+        : [key, value]
+)));
+
+const decodeAmounts = (stored, fields, currency) => Object.fromEntries(Object.entries(stored).map(([key, value]) => {
+    const field = key.endsWith('Minor') ? key.slice(0, -'Minor'.length) : null;
+    return fields.includes(field)
+        ? [field, value === null ? null : fromMinorUnits(value, currency)]
+        : [key, value];
+}));
+
+// Products keep the currency their prices are in. A variant without a price uses its
+// product's.
+const encodeProduct = (product) => {
+    const stored = encodeAmounts(product, ['price'], BASE_CURRENCY);
+    if (product.price !== undefined) {
+        stored.currency = BASE_CURRENCY;
+    }
+    if (product.variants) {
+        stored.variants = product.variants.map(variant => encodeAmounts({ ...variant, price: variant.price ?? null }, ['price'], BASE_CURRENCY));
+    }
+    return stored;
+};
+
+const decodeProduct = (stored) => {
+    const currency = stored.currency || BASE_CURRENCY;
+    const product = { ...decodeAmounts(stored, ['price'], currency), currency };
+    if (stored.variants) {
+        product.variants = stored.variants.map(variant => decodeAmounts(variant, ['price'], currency));
+    }
+    return product;
+};
+
+// Orders are written whole, in the currency they were charged in
+const ORDER_AMOUNTS = ['subtotal', 'discount', 'shipping', 'tax', 'total'];
+const ORDER_ITEM_AMOUNTS = ['price', 'lineTotal'];
+
+const encodeOrder = (order) => {
+    const currency = order.currency || BASE_CURRENCY;
+    return {
+        ...encodeAmounts(order, ORDER_AMOUNTS, currency),
+        currency,
+        ...(order.items ? { items: order.items.map(item => encodeAmounts(item, ORDER_ITEM_AMOUNTS, currency)) } : {})
+    };
+};
+
+const decodeOrder = (stored) => ({
+    ...decodeAmounts(stored, ORDER_AMOUNTS, stored.currency),
+    items: stored.items.map(item => decodeAmounts(item, ORDER_ITEM_AMOUNTS, stored.currency))
+});
+
+// A coupon's value is an amount for fixed coupons and a percentage otherwise
+const encodeCoupon = (coupon) => {
+    const stored = encodeAmounts(coupon, coupon.type === 'fixed' ? ['value', 'minSubtotal'] : ['minSubtotal'], BASE_CURRENCY);
+    if (coupon.type && coupon.type !== 'fixed') {
+        // Clear the amount left by a coupon that used to be fixed
+        stored.valueMinor = null;
+    }
+    if (coupon.minSubtotal !== undefined) {
+        stored.currency = BASE_CURRENCY;
+    }
+    return stored;
+};
+
+// A coupon whose type changed can have both; valueMinor is only set while it is fixed
+const decodeCoupon = (stored) => {
+    const unused = stored.valueMinor === null || stored.valueMinor === undefined ? 'valueMinor' : 'value';
+    const coupon = Object.fromEntries(Object.entries(stored).filter(([key]) => key !== unused));
+    return decodeAmounts(coupon, ['value', 'minSubtotal'], stored.currency);
+};
+
+// A collection whose records keep their amounts in minor units. Reads and writes use
+// major units like the rest of the server, and predicates see records as they are read.
+// Records saved before amounts were stored in minor units are read as they are until
+// migrateLegacyAmounts() converts them.
+class MinorUnitCollection {
+    constructor(collection, { encode, decode, isLegacy }) {
+        this.collection = collection;
+        this.encode = encode;
+        this.isLegacy = isLegacy;
+        this.decode = (stored) => (!stored || isLegacy(stored) ? stored : decode(stored));
+    }
+
+    all() {
+        return this.collection.all().map(this.decode);
+    }
+
+    find(predicate) {
+        return this.all().find(predicate);
+    }
+
+    filter(predicate) {
+        return this.all().filter(predicate);
+    }
+
+    findById(id) {
+        return this.decode(this.collection.findById(id));
+    }
+
+    count(predicate) {
+        return predicate ? this.filter(predicate).length : this.collection.count();
+    }
+
+    insert(record) {
+        return this.decode(this.collection.insert(this.encode(record)));
+    }
+
+    update(id, changes) {
+        return this.decode(this.collection.update(id, this.encode(changes)));
+    }
+
+    remove(id) {
+        return this.collection.remove(id);
+    }
+
+    // Re-save records from before minor units, keeping their ids and order.
+    // Run inside a transaction.
+    migrateLegacyAmounts() {
+        const legacy = this.collection.all().filter(this.isLegacy);
+        legacy.forEach(record => {
+            this.collection.remove(record.id);
+            this.collection.insert(this.encode(record));
+        });
+        return legacy.length;
+    }
+}
+
+class ProductCollection extends MinorUnitCollection {
+    constructor(collection) {
+        super(collection, { encode: encodeProduct, decode: decodeProduct, isLegacy: (stored) => stored.priceMinor === undefined });
+    }
+}
+
+class OrderCollection extends MinorUnitCollection {
+    constructor(collection) {
+        super(collection, { encode: encodeOrder, decode: decodeOrder, isLegacy: (stored) => stored.totalMinor === undefined });
+    }
+}
+
+class CouponCollection extends MinorUnitCollection {
+    constructor(collection) {
+        super(collection, { encode: encodeCoupon, decode: decodeCoupon, isLegacy: (stored) => stored.minSubtotalMinor === undefined });
+    }
+}
+
+// A product with its prices in the shopper's currency
+const convertProduct = (product, pricing) => ({
+    ...product,
+    currency: pricing.currency,
+    price: convertAmount(product.price, pricing),
+    ...(product.variants ? {
+        variants: product.variants.map(variant => ({ ...variant, price: convertAmount(variant.price, pricing) }))
+    } : {})
+});
+
+// A priced cart (see pricing.js) in the shopper's currency. The total is added up from
+// the converted amounts so what is shown always adds up.
+const convertSummary = (summary, pricing) => {
+    const { currency } = pricing;
+    const converted = {
+        ...summary,
+        currency,
+        subtotal: convertAmount(summary.subtotal, pricing),
+        discount: convertAmount(summary.discount, pricing),
+        shipping: convertAmount(summary.shipping, pricing),
+        tax: convertAmount(summary.tax, pricing),
+        freeShippingOver: convertAmount(summary.freeShippingOver, pricing),
+        coupon: summary.coupon ? { ...summary.coupon, discount: convertAmount(summary.coupon.discount, pricing) } : summary.coupon
+    };
+    const minor = ['subtotal', 'shipping', 'tax'].reduce((sum, field) => sum + toMinorUnits(converted[field], currency), 0) -
+        toMinorUnits(converted.discount, currency);
+    converted.total = fromMinorUnits(minor, currency);
+    return converted;
+};
+
+class ExchangeRates {
+    constructor(collection) {
+        this.rates = collection;
+    }
+
+    seedDefaults() {
+        Object.entries(DEFAULT_EXCHANGE_RATES)
+            .filter(([code]) => code !== BASE_CURRENCY)
+            .forEach(([code, rate]) => this.rates.insert({ code, rate, updatedAt: new Date() }));
+    }
+
+    find(code) {
+        return this.rates.find(entry => entry.code === code) || null;
+    }
+
+    // { currency, rate } to convert base prices with, or null when there's no rate
+    pricingFor(code) {
+        if (code === BASE_CURRENCY) return { currency: BASE_CURRENCY, rate: 1 };
+        const entry = this.find(code);
+        return entry ? { currency: code, rate: entry.rate } : null;
+    }
+
+    // The base currency first, then the rest by code
+    list() {
+        const describe = (code, rate, updatedAt = null) => ({ code, name: currencyNames.of(code), rate, updatedAt });
+        return [
+            describe(BASE_CURRENCY, 1),
+            ...this.rates.all()
+                .sort((a, b) => a.code.localeCompare(b.code))
+                .map(entry => describe(entry.code, entry.rate, entry.updatedAt))
+        ];
+    }
+
+    // Returns the entry before and after, for the audit log
+    set(code, rate) {
+        const before = this.find(code);
+        const after = before
+            ? this.rates.update(before.id, { rate, updatedAt: new Date() })
+            : this.rates.insert({ code, rate, updatedAt: new Date() });
+        return { before, after };
+    }
+
+    remove(code) {
+        const entry = this.find(code);
+        if (entry) this.rates.remove(entry.id);
+        return entry;
+    }
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    isSupportedCurrency,
+    toMinorUnits,
+    fromMinorUnits,
+    roundMoney,
+    formatMoney,
+    convertAmount,
+    convertProduct,
+    convertSummary,
+    ProductCollection,
+    OrderCollection,
+    CouponCollection,
+    ExchangeRates
+};
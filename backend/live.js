@@ -0,0 +1,85 @@
+// Live updates
+// Browsers keep a Server-Sent Events connection open on GET /api/events and are told
+// about catalog changes as they happen, so open pages can update in place:
+//   product.created  { product }
+//   product.updated  { product }
+//   product.deleted  { productId }
+//   stock.changed    { productId, stock, variants: [{ sku, stock }] }
+// Products are shown in each subscriber's own currency and language, so event data is
+// built per connection. Missed events aren't replayed: a browser that reconnects
+// reloads what it shows instead.
+
+// A comment line this often keeps proxies from closing quiet connections
+const HEARTBEAT_MS = 25000;
+// How long browsers wait before reconnecting after the connection drops
+const RETRY_MS = 5000;
+
+class LiveUpdates {
+    constructor({ heartbeatMs = HEARTBEAT_MS } = {}) {
+        this.subscribers = new Set();
+        this.nextEventId = 1;
+        this.heartbeatMs = heartbeatMs;
+        this.heartbeat = null;
+    }
+
+    // Keeps `res` open as an event stream until the browser goes away. `context` is
+    // handed back to publish()'s callback, e.g. { currency, locale }.
+    subscribe(req, res, context = {}) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Stops nginx and similar proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const subscriber = { res, context };
+        this.subscribers.add(subscriber);
+        this.startHeartbeat();
+
+        req.on('close', () => {
+            this.subscribers.delete(subscriber);
+            if (this.subscribers.size === 0) this.stopHeartbeat();
+        });
+    }
+
+    // Sends an event to every subscriber. `data` is the event's data, or a function
+    // building it from a subscriber's context.
+    publish(type, data) {
+        if (this.subscribers.size === 0) return;
+
+        const id = this.nextEventId++;
+        this.subscribers.forEach(({ res, context }) => {
+            const payload = typeof data === 'function' ? data(context) : data;
+            res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+        });
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            this.subscribers.forEach(({ res }) => res.write(': heartbeat\n\n'));
+        }, this.heartbeatMs);
+        // The heartbeat alone shouldn't keep the process running
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+}
+
+// A stock change as sent to browsers; variant stock is listed so pickers can update too
+const stockEvent = (product) => ({
+    productId: product._id,
+    stock: product.stock,
+    variants: (product.variants || []).map(({ sku, stock }) => ({ sku, stock }))
+});
+
+module.exports = {
+    LiveUpdates,
+    stockEvent
+};
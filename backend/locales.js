@@ -0,0 +1,71 @@
+// Product translations
+// Products are written in the store's default locale. `translations` holds the name and
+// description in the other supported locales, keyed by locale:
+//   translations: { es: { name: 'Auriculares', description: '...' } }
+// Reads pick a locale from ?lang or the Accept-Language header, and anything that
+// hasn't been translated falls back to the default locale's text.
+
+const normalizeTag = (tag) => String(tag || '').trim().toLowerCase().replace(/_/g, '-');
+
+const DEFAULT_LOCALE = normalizeTag(process.env.DEFAULT_LOCALE || 'en');
+const SUPPORTED_LOCALES = [...new Set([
+    DEFAULT_LOCALE,
+    ...(process.env.LOCALES || 'en,es').split(',').map(normalizeTag).filter(Boolean)
+])];
+// Locales that have their own text on products
+const TRANSLATION_LOCALES = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+const TRANSLATED_FIELDS = ['name', 'description'];
+
+// A supported locale for a language tag, or null: 'es-MX' -> 'es', 'pt-BR' -> 'pt-br' or 'pt'
+const matchLocale = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (SUPPORTED_LOCALES.includes(normalized)) return normalized;
+    const language = normalized.split('-')[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+// Accept-Language lists tags with optional weights: "es-MX,es;q=0.9,en;q=0.8"
+const negotiateLocale = (header) => {
+    const preferences = String(header || '')
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.split(';').map(piece => piece.trim());
+            const weight = params.find(param => param.startsWith('q='));
+            return { tag, quality: weight ? Number(weight.slice(2)) : 1, index };
+        })
+        .filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+    for (const { tag } of preferences) {
+        const locale = matchLocale(tag);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+};
+
+// A product with its name and description in `locale`. `locale` on the result says
+// which language the text is actually in.
+const localizeProduct = (product, locale) => {
+    const translation = (locale !== DEFAULT_LOCALE && product.translations && product.translations[locale]) || {};
+    const translated = TRANSLATED_FIELDS.some(field => translation[field]);
+    return {
+        ...product,
+        ...Object.fromEntries(TRANSLATED_FIELDS.map(field => [field, translation[field] || product[field]])),
+        locale: translated ? locale : DEFAULT_LOCALE
+    };
+};
+
+// Every translated name and description, for the search index
+const translatedText = (product, field) => Object.values(product.translations || {})
+    .map(translation => (translation && translation[field]) || '')
+    .join(' ');
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    TRANSLATION_LOCALES,
+    matchLocale,
+    negotiateLocale,
+    localizeProduct,
+    translatedText
+};
@@ -0,0 +1,70 @@
+// Mail transports
+// Every transport has the same send({ to, subject, text }) method.
+// MAIL_TRANSPORT picks one: "outbox" (default), "console" or "memory" for tests.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'TechMart <no-reply@techmart.local>';
+
+// Writes each message to its own .eml file so it can be opened in any mail client
+class OutboxTransport {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    async send({ to, subject, text }) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        const message = [
+            `From: ${MAIL_FROM}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            text
+        ].join('\r\n');
+
+        const filePath = path.join(this.directory, fileName);
+        await fs.promises.writeFile(filePath, message);
+        console.log(`Mail to ${to} saved to ${filePath}`);
+        return { id: fileName };
+    }
+}
+
+class ConsoleTransport {
+    async send({ to, subject, text }) {
+        console.log(`--- Mail to ${to}: ${subject} ---\n${text}\n---`);
+        return { id: `console-${Date.now()}` };
+    }
+}
+
+// Keeps sent messages in an array for tests to inspect
+class MemoryTransport {
+    constructor() {
+        this.sent = [];
+    }
+
+    async send(message) {
+        this.sent.push({ ...message, from: MAIL_FROM, sentAt: new Date() });
+        return { id: `memory-${this.sent.length}` };
+    }
+}
+
+const createMailTransport = (type = process.env.MAIL_TRANSPORT || 'outbox') => {
+    switch (type) {
+        case 'outbox':
+            return new OutboxTransport(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox'));
+        case 'console':
+            return new ConsoleTransport();
+        case 'memory':
+            return new MemoryTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${type}"`);
+    }
+};
+
+module.exports = { createMailTransport, OutboxTransport, ConsoleTransport, MemoryTransport };
@@ -0,0 +1,75 @@
+// Product image storage
+// Uploaded images are resized to every size in IMAGE_SIZES and written to UPLOAD_DIR
+// (default backend/uploads) as WebP. File names are random, so a file never changes
+// once written and can be cached forever.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Longest edge in pixels; images smaller than a size are never enlarged
+const IMAGE_SIZES = {
+    thumb: 160,
+    card: 480,
+    large: 1200
+};
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Thrown when the upload isn't an image sharp can read
+class InvalidImageError extends Error {}
+
+class LocalImageStore {
+    constructor(directory, publicPath = '/uploads') {
+        this.directory = directory;
+        this.publicPath = publicPath;
+    }
+
+    async save(buffer) {
+        let metadata;
+        try {
+            metadata = await sharp(buffer).metadata();
+        } catch (error) {
+            throw new InvalidImageError('That file is not an image we can read');
+        }
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const id = crypto.randomBytes(8).toString('hex');
+        const urls = {};
+        for (const [size, pixels] of Object.entries(IMAGE_SIZES)) {
+            const fileName = `${id}-${size}.webp`;
+            await sharp(buffer)
+                .rotate() // respect EXIF orientation from phone cameras
+                .resize(pixels, pixels, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toFile(path.join(this.directory, fileName));
+            urls[size] = `${this.publicPath}/${fileName}`;
+        }
+
+        return { id, urls, width: metadata.width, height: metadata.height };
+    }
+
+    // Missing files are fine - the image is gone either way
+    async remove(image) {
+        await Promise.all(Object.keys(IMAGE_SIZES).map(size =>
+            fs.promises.rm(path.join(this.directory, `${image.id}-${size}.webp`), { force: true })
+        ));
+    }
+}
+
+const createImageStore = (directory = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads')) => {
+    return new LocalImageStore(directory);
+};
+
+module.exports = {
+    IMAGE_SIZES,
+    ACCEPTED_TYPES,
+    MAX_IMAGE_BYTES,
+    InvalidImageError,
+    LocalImageStore,
+    createImageStore
+};
@@ -0,0 +1,104 @@
+// Pricing service
+// Works out subtotal, discount, shipping, tax and total for a set of cart lines.
+// Rates live in DEFAULT_PRICING_CONFIG; point PRICING_CONFIG at a JSON file to override them.
+// Shipping amounts in the config are whole numbers of the base currency's minor unit, like
+// stored prices (amountMinor: 999 is $9.99 in USD); priceCart returns major units.
+
+const fs = require('fs');
+const { toMinorUnits, fromMinorUnits, roundMoney } = require('./currency');
+
+// Used for shipping when a product has no weight set
+const DEFAULT_WEIGHT_KG = 0.5;
+
+const DEFAULT_PRICING_CONFIG = {
+    defaultRegion: 'US-CA',
+    // Shipping rule types: "flat" (amountMinor), "weight" (baseRateMinor + ratePerKgMinor)
+    // or "free". freeOverMinor makes any rule free once the discounted subtotal reaches it.
+    shipping: { type: 'flat', amountMinor: 999, freeOverMinor: 10000 },
+    regions: {
+        'US-CA': { name: 'California', taxRate: 0.085 },
+        'US-NY': { name: 'New York', taxRate: 0.08875 },
+        'US-TX': { name: 'Texas', taxRate: 0.0825 },
+        'US-OR': { name: 'Oregon', taxRate: 0 },
+        'CA-ON': {
+            name: 'Ontario, Canada',
+            taxRate: 0.13,
+            shipping: { type: 'weight', baseRateMinor: 1499, ratePerKgMinor: 250, freeOverMinor: 25000 }
+        }
+    }
+};
+
+// Config files written before minor units give shipping amounts in major units under the
+// old names (amount: 9.99). They still load: each is converted to its minor-unit field.
+const LEGACY_AMOUNT_FIELDS = ['amount', 'baseRate', 'ratePerKg', 'freeOver'];
+
+const upgradeShippingRule = (rule) => rule && Object.fromEntries(Object.entries(rule).map(([key, value]) => (
+    LEGACY_AMOUNT_FIELDS.includes(key) ? [`${key}Minor`, toMinorUnits(value)] : [key, value]
+)));
+
+const loadPricingConfig = (filePath = process.env.PRICING_CONFIG) => {
+    if (!filePath) {
+        return DEFAULT_PRICING_CONFIG;
+    }
+    const config = { ...DEFAULT_PRICING_CONFIG, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    return {
+        ...config,
+        shipping: upgradeShippingRule(config.shipping),
+        regions: Object.fromEntries(Object.entries(config.regions).map(([code, region]) => [
+            code,
+            region.shipping ? { ...region, shipping: upgradeShippingRule(region.shipping) } : region
+        ]))
+    };
+};
+
+const resolveRegion = (config, code) => {
+    const regionCode = config.regions[code] ? code : config.defaultRegion;
+    return { code: regionCode, ...config.regions[regionCode] };
+};
+
+const calculateShipping = (lines, amountDue, rule) => {
+    if (lines.length === 0) return 0;
+    if (rule.freeOverMinor !== undefined && amountDue >= fromMinorUnits(rule.freeOverMinor)) return 0;
+
+    switch (rule.type) {
+        case 'flat':
+            return fromMinorUnits(rule.amountMinor);
+        case 'weight': {
+            const weight = lines.reduce((sum, line) => sum + (line.product.weight ?? DEFAULT_WEIGHT_KG) * line.quantity, 0);
+            return fromMinorUnits(Math.round(rule.baseRateMinor + weight * rule.ratePerKgMinor));
+        }
+        case 'free':
+            return 0;
+        default:
+            throw new Error(`Unknown shipping rule type "${rule.type}"`);
+    }
+};
+
+// lines: [{ product, quantity }]
+// couponResult: the output of applyCoupon for the cart's coupon, if any
+const priceCart = (lines, { regionCode, couponResult = null, config = DEFAULT_PRICING_CONFIG } = {}) => {
+    const region = resolveRegion(config, regionCode);
+    const shippingRule = region.shipping || config.shipping;
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.product.price * line.quantity, 0));
+    const discount = couponResult && couponResult.valid ? couponResult.discount : 0;
+    const freeShipping = Boolean(couponResult && couponResult.valid && couponResult.freeShipping);
+
+    const shipping = freeShipping ? 0 : calculateShipping(lines, subtotal - discount, shippingRule);
+    const tax = roundMoney((subtotal - discount) * region.taxRate);
+
+    return {
+        region: region.code,
+        regionName: region.name,
+        subtotal,
+        discount,
+        shipping,
+        freeShipping,
+        freeShippingOver: shippingRule.freeOverMinor === undefined ? null : fromMinorUnits(shippingRule.freeOverMinor),
+        taxRate: region.taxRate,
+        tax,
+        total: roundMoney(subtotal - discount + shipping + tax)
+    };
+};
+
+module.exports = { DEFAULT_PRICING_CONFIG, loadPricingConfig, priceCart };
@@ -0,0 +1,203 @@
+// Request body schemas for every write route (see validation.js for the rule format)
+
+const { COUPON_TYPES } = require('./coupons');
+const { MERGE_STRATEGIES, DEFAULT_MERGE_STRATEGY } = require('./cart-merge');
+const { TRANSLATION_LOCALES } = require('./locales');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Auth
+const registerSchema = {
+    firstName: { type: 'string', required: true, maxLength: 100 },
+    lastName: { type: 'string', required: true, maxLength: 100 },
+    email: { type: 'string', required: true, maxLength: 254, pattern: EMAIL_PATTERN, message: 'must be a valid email address' },
+    password: { type: 'string', required: true, minLength: 6, maxLength: 200 }
+};
+
+// A guest cart sent with the login is merged into the account's cart (see cart-merge.js)
+const loginSchema = {
+    email: { type: 'string', required: true },
+    password: { type: 'string', required: true },
+    guestCartId: { type: 'string', nullable: true, maxLength: 100 },
+    cartMerge: { type: 'string', enum: MERGE_STRATEGIES, default: DEFAULT_MERGE_STRATEGY }
+};
+
+const refreshSchema = {
+    refreshToken: { type: 'string', required: true }
+};
+
+const logoutSchema = {
+    refreshToken: { type: 'string', nullable: true }
+};
+
+const tokenSchema = {
+    token: { type: 'string', required: true }
+};
+
+const forgotPasswordSchema = {
+    email: { type: 'string', required: true }
+};
+
+const resetPasswordSchema = {
+    token: { type: 'string', required: true },
+    password: { type: 'string', required: true, minLength: 6, maxLength: 200 }
+};
+
+// Products - rating and reviewCount come from reviews, ids are assigned by the server
+// and images are managed through the image routes
+const productSchema = {
+    id: { immutable: true },
+    _id: { immutable: true },
+    rating: { immutable: true },
+    reviewCount: { immutable: true },
+    images: { immutable: true },
+    name: { type: 'string', required: true, maxLength: 200 },
+    // Optional; products with variants have a SKU per variant instead
+    sku: { type: 'string', maxLength: 50, nullable: true, pattern: /^[A-Za-z0-9_-]+$/, message: 'may only contain letters, numbers, - and _' },
+    category: { type: 'string', required: true, maxLength: 100 },
+    price: { type: 'number', required: true, min: 0 },
+    description: { type: 'string', required: true, maxLength: 5000 },
+    stock: { type: 'integer', required: true, min: 0 },
+    image: { type: 'string', maxLength: 100, default: 'book' },
+    weight: { type: 'number', min: 0 },
+    featured: { type: 'boolean', default: false },
+    // Name and description in other languages, by locale (see locales.js)
+    translations: {
+        type: 'object',
+        fields: Object.fromEntries(TRANSLATION_LOCALES.map(locale => [locale, {
+            type: 'object',
+            nullable: true,
+            fields: {
+                name: { type: 'string', maxLength: 200 },
+                description: { type: 'string', maxLength: 5000 }
+            }
+        }]))
+    },
+    // How options and variants fit together is checked in variants.js
+    options: {
+        type: 'array',
+        maxLength: 3,
+        items: {
+            type: 'object',
+            fields: {
+                name: { type: 'string', required: true, maxLength: 50 },
+                values: { type: 'array', required: true, maxLength: 20, items: { type: 'string', required: true, maxLength: 50 } }
+            }
+        }
+    },
+    variants: {
+        type: 'array',
+        maxLength: 100,
+        items: {
+            type: 'object',
+            fields: {
+                sku: { type: 'string', required: true, maxLength: 50 },
+                options: { type: 'object', required: true },
+                price: { type: 'number', min: 0, nullable: true },
+                stock: { type: 'integer', required: true, min: 0 }
+            }
+        }
+    }
+};
+
+const productImageOrderSchema = {
+    order: { type: 'array', required: true, items: { type: 'string', required: true } }
+};
+
+// content is the text of the CSV or JSON file; rows are checked in catalog-io.js
+const productImportSchema = {
+    format: { type: 'string', required: true, enum: ['csv', 'json'] },
+    content: { type: 'string', required: true, maxLength: 5 * 1024 * 1024 },
+    dryRun: { type: 'boolean', default: false }
+};
+
+// Account preferences; null goes back to the store's base currency
+const preferencesSchema = {
+    currency: { type: 'string', nullable: true, pattern: /^[A-Za-z]{3}$/, message: 'must be a three-letter currency code' }
+};
+
+// Cart
+// sku picks the variant for products that have them
+const cartAddSchema = {
+    productId: { type: 'id', required: true },
+    sku: { type: 'string', nullable: true },
+    quantity: { type: 'integer', min: 1, default: 1 }
+};
+
+// Zero or less removes the item
+const cartUpdateSchema = {
+    productId: { type: 'id', required: true },
+    sku: { type: 'string', nullable: true },
+    quantity: { type: 'integer', required: true }
+};
+
+const cartRegionSchema = {
+    region: { type: 'string', required: true }
+};
+
+const guestCartSchema = {
+    region: { type: 'string', nullable: true }
+};
+
+const cartMergeSchema = {
+    guestCartId: { type: 'string', required: true, maxLength: 100 },
+    strategy: { type: 'string', enum: MERGE_STRATEGIES, default: DEFAULT_MERGE_STRATEGY }
+};
+
+const couponCodeSchema = {
+    code: { type: 'string', required: true, maxLength: 50 }
+};
+
+// Reviews
+const reviewSchema = {
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    text: { type: 'string', maxLength: 2000, default: '' }
+};
+
+const reviewModerationSchema = {
+    hidden: { type: 'boolean', required: true }
+};
+
+// Coupons (admin) - rules that depend on several fields are in validateCouponData
+const couponSchema = {
+    id: { immutable: true },
+    usedCount: { immutable: true },
+    code: { type: 'string', required: true, maxLength: 50 },
+    type: { type: 'string', required: true, enum: COUPON_TYPES },
+    value: { type: 'number', min: 0, default: 0 },
+    categories: { type: 'array', items: { type: 'string' }, default: [] },
+    minSubtotal: { type: 'number', min: 0, default: 0 },
+    expiresAt: { type: 'date', nullable: true },
+    usageLimit: { type: 'integer', min: 1, nullable: true },
+    active: { type: 'boolean', default: true }
+};
+
+// Exchange rates (admin) - how much of the currency one unit of the base currency buys
+const exchangeRateSchema = {
+    rate: { type: 'number', required: true, min: 0.000001 }
+};
+
+module.exports = {
+    EMAIL_PATTERN,
+    registerSchema,
+    loginSchema,
+    refreshSchema,
+    logoutSchema,
+    tokenSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    preferencesSchema,
+    productSchema,
+    productImageOrderSchema,
+    productImportSchema,
+    cartAddSchema,
+    cartUpdateSchema,
+    cartRegionSchema,
+    guestCartSchema,
+    cartMergeSchema,
+    couponCodeSchema,
+    reviewSchema,
+    reviewModerationSchema,
+    couponSchema,
+    exchangeRateSchema
+};
@@ -0,0 +1,241 @@
+// Product search
+// An in-memory inverted index over the product store. Text is split into words,
+// lightly stemmed ("headphones" -> "headphone") and weighted by field, so a match in
+// the name counts for more than one in the description. Query words also match
+// index words that they start ("head" -> "headphone") or that are a typo or two away
+// ("hedphones" -> "headphone"). Longer query words also match inside index words
+// ("phone" -> "headphone"), as the old substring search did.
+// Translated names and descriptions are indexed with the originals, and accents are
+// ignored, so "auriculares inalambricos" finds "Auriculares inalámbricos".
+// The index must be told about product changes: call upsert() after a product is
+// created or edited and remove() after it is deleted.
+
+const { translatedText } = require('./locales');
+
+const FIELD_WEIGHTS = {
+    name: 3,
+    category: 2,
+    options: 1.5,
+    description: 1
+};
+
+// How much a match counts for, depending on how the query word matched
+const MATCH_WEIGHTS = {
+    exact: 1,
+    prefix: 0.7,
+    fuzzy: 0.5,
+    partial: 0.4
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'on', 'to', 'or', 'by', 'is']);
+
+const SNIPPET_WORDS = 24;
+
+// Light suffix stripping for English - enough for plurals and -ing/-ed forms
+const stem = (word) => {
+    if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+    let stemmed = word;
+    if (word.endsWith('ies') && word.length > 4) {
+        stemmed = `${word.slice(0, -3)}y`;
+    } else if (/(ch|sh|x|z|ss)es$/.test(word)) {
+        stemmed = word.slice(0, -2);
+    } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+        stemmed = word.slice(0, -1);
+    } else if (word.endsWith('ing') && word.length > 5) {
+        stemmed = word.slice(0, -3);
+    } else if (word.endsWith('ed') && word.length > 4) {
+        stemmed = word.slice(0, -2);
+    } else {
+        return word;
+    }
+
+    // "running" -> "runn" -> "run"
+    return /([^aeiouls])\1$/.test(stemmed) ? stemmed.slice(0, -1) : stemmed;
+};
+
+// "Inalámbricos" -> "Inalambricos"
+const foldAccents = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const words = (text) => foldAccents(text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+const tokenize = (text) => words(text).filter(word => !STOP_WORDS.has(word)).map(stem);
+
+// Typos allowed for a word of this length
+const allowedEdits = (length) => length >= 8 ? 2 : length >= 4 ? 1 : 0;
+
+// Edit distance counting a swap of two neighbouring letters as one edit.
+// Gives up early and returns max + 1 once the distance is over max.
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous2 = previous;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Escapes the text and wraps words whose stem is in `terms` in <mark>
+const highlight = (text, terms) => String(text || '')
+    .split(/([^\p{L}\p{N}]+)/u)
+    .map(part => terms.has(stem(foldAccents(part).toLowerCase())) ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+    .join('');
+
+// A window of the text around the first matching word, highlighted
+const snippet = (text, terms) => {
+    const parts = String(text || '').split(/\s+/).filter(Boolean);
+    const first = parts.findIndex(part => words(part).some(word => terms.has(stem(word))));
+    const start = Math.max(0, Math.min(first - Math.floor(SNIPPET_WORDS / 3), parts.length - SNIPPET_WORDS));
+    const end = Math.min(parts.length, start + SNIPPET_WORDS);
+
+    return `${start > 0 ? '… ' : ''}${highlight(parts.slice(start, end).join(' '), terms)}${end < parts.length ? ' …' : ''}`;
+};
+
+const productFields = (product) => ({
+    name: `${product.name} ${translatedText(product, 'name')}`,
+    category: product.category,
+    options: (product.options || []).flatMap(option => option.values).join(' '),
+    description: `${product.description} ${translatedText(product, 'description')}`
+});
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map(); // term -> Map(productId -> weighted term frequency)
+        this.docs = new Map(); // productId -> { terms, name, description }
+    }
+
+    upsert(product) {
+        this.remove(product.id);
+
+        const fields = productFields(product);
+        const weights = new Map();
+        Object.entries(fields).forEach(([field, text]) => {
+            tokenize(text).forEach(term => {
+                weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field]);
+            });
+        });
+
+        weights.forEach((weight, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(product.id, weight);
+        });
+
+        this.docs.set(product.id, {
+            terms: [...weights.keys()],
+            name: foldAccents(fields.name).toLowerCase(),
+            description: foldAccents(fields.description).toLowerCase()
+        });
+    }
+
+    remove(productId) {
+        const doc = this.docs.get(productId);
+        if (!doc) return;
+
+        doc.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            posting.delete(productId);
+            if (posting.size === 0) this.postings.delete(term);
+        });
+        this.docs.delete(productId);
+    }
+
+    rebuild(products) {
+        this.postings.clear();
+        this.docs.clear();
+        products.forEach(product => this.upsert(product));
+    }
+
+    // Index terms a query word matches, with how strongly
+    expand(queryTerm) {
+        const matches = [];
+        const maxEdits = allowedEdits(queryTerm.length);
+
+        this.postings.forEach((posting, term) => {
+            if (term === queryTerm) {
+                matches.push({ term, weight: MATCH_WEIGHTS.exact });
+                return;
+            }
+            if (queryTerm.length >= 3 && term.startsWith(queryTerm)) {
+                matches.push({ term, weight: MATCH_WEIGHTS.prefix });
+                return;
+            }
+
+            const distance = maxEdits > 0 ? editDistance(queryTerm, term, maxEdits) : Infinity;
+            if (distance <= maxEdits) {
+                matches.push({ term, weight: MATCH_WEIGHTS.fuzzy / distance });
+            } else if (queryTerm.length >= 4 && term.includes(queryTerm)) {
+                matches.push({ term, weight: MATCH_WEIGHTS.partial });
+            }
+        });
+
+        return matches;
+    }
+
+    // Returns [{ id, score, terms }] best first. `terms` are the index terms that
+    // matched, for highlighting.
+    search(query) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0) return [];
+
+        const total = this.docs.size;
+        const results = new Map();
+
+        queryTerms.forEach(queryTerm => {
+            // Best match for this query word in each product
+            const best = new Map();
+            this.expand(queryTerm).forEach(({ term, weight }) => {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + total / posting.size);
+                posting.forEach((fieldWeight, productId) => {
+                    const score = weight * idf * fieldWeight;
+                    if (!best.has(productId) || best.get(productId).score < score) {
+                        best.set(productId, { score, term });
+                    }
+                });
+            });
+
+            best.forEach(({ score, term }, productId) => {
+                const result = results.get(productId) || { id: productId, score: 0, matched: 0, terms: new Set() };
+                result.score += score;
+                result.matched += 1;
+                result.terms.add(term);
+                results.set(productId, result);
+            });
+        });
+
+        const phrase = foldAccents(query).trim().toLowerCase();
+        return [...results.values()]
+            .map(result => {
+                const doc = this.docs.get(result.id);
+                // Products matching more of the query words rank higher, and the exact phrase most of all
+                let score = result.score * (result.matched / queryTerms.length);
+                if (doc.name.includes(phrase)) score *= 2;
+                else if (doc.description.includes(phrase)) score *= 1.25;
+                return { id: result.id, score: Number(score.toFixed(4)), terms: result.terms };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+}
+
+module.exports = { SearchIndex, tokenize, stem, editDistance, highlight, snippet };
@@ -1,14 +1,58 @@
 // TechMart Backend Server
-// Simple test server with in-memory data storage
-// TODO: Replace with actual MongoDB when ready for production
+// Data goes through the storage layer in ./storage (JSON file by default)
 
 const express = require('express');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const multer = require('multer');
 require('dotenv').config();
+const { createStore } = require('./storage');
+const { normalizeCode, applyCoupon, validateCouponData } = require('./coupons');
+const { loadPricingConfig, priceCart } = require('./pricing');
+const { createMailTransport } = require('./mailer');
+const {
+    normalizeSku,
+    hasVariants,
+    findVariant,
+    unitPrice,
+    describeVariant,
+    withVariantStock,
+    normalizeVariants,
+    validateVariantData
+} = require('./variants');
+const { ACCEPTED_TYPES, MAX_IMAGE_BYTES, InvalidImageError, createImageStore } = require('./media');
+const { SearchIndex, highlight, snippet } = require('./search');
+const { parseProductFilters, filterProducts, buildFacets } = require('./catalog');
+const { mergeCartItems } = require('./cart-merge');
+const { ImportFileError, exportProducts, readImportRows, planImport } = require('./catalog-io');
+const { AuditLog } = require('./audit');
+const { buildAdminStats } = require('./stats');
+const { LiveUpdates, stockEvent } = require('./live');
+const {
+    BASE_CURRENCY,
+    isSupportedCurrency,
+    convertAmount,
+    convertProduct,
+    convertSummary,
+    roundMoney,
+    ProductCollection,
+    OrderCollection,
+    CouponCollection,
+    ExchangeRates
+} = require('./currency');
+const {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    matchLocale,
+    negotiateLocale,
+    localizeProduct
+} = require('./locales');
+const { validateBody } = require('./validation');
+const schemas = require('./schemas');
 
 const app = express();
 
@@ -22,7 +66,9 @@ app.use(helmet({
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 200, // increased limit for testing
-    message: 'Too many requests, please slow down!'
+    message: 'Too many requests, please slow down!',
+    // EventSource reconnects by itself whenever the stream drops, so the live updates stream isn't counted
+    skip: (req) => req.path === '/events'
 });
 app.use('/api/', limiter);
 
@@ -35,115 +81,508 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// In-memory data storage for testing (replace with MongoDB in production)
-let users = [];
-let products = [];
-let carts = [];
-let nextUserId = 1;
-let nextProductId = 1;
-let nextCartId = 1;
+// Storage - set STORAGE_DRIVER=memory for throwaway data
+const db = createStore();
+const users = db.collection('users');
+const products = new ProductCollection(db.collection('products'));
+const carts = db.collection('carts');
+const orders = new OrderCollection(db.collection('orders'));
+const reviews = db.collection('reviews');
+const coupons = new CouponCollection(db.collection('coupons'));
+const sessions = db.collection('sessions');
+const refreshTokens = db.collection('refreshTokens');
+const passwordResets = db.collection('passwordResets');
+const emailVerifications = db.collection('emailVerifications');
+const auditLog = new AuditLog(db.collection('auditLog'));
+const exchangeRates = new ExchangeRates(db.collection('exchangeRates'));
 
-// Initialize sample data
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// Access tokens are short-lived; refresh tokens keep the session going and rotate on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 7);
+
+// Password reset links expire after this long and work only once
+const PASSWORD_RESET_MINUTES = Number(process.env.PASSWORD_RESET_MINUTES || 60);
+
+// Email verification links last a day; a new one can be requested once a minute
+const EMAIL_VERIFICATION_HOURS = Number(process.env.EMAIL_VERIFICATION_HOURS || 24);
+const RESEND_VERIFICATION_SECONDS = 60;
+
+
+// Where links in emails point to
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Outgoing email (see mailer.js)
+const mailer = createMailTransport();
+
+// Product search index (see search.js) - kept in step with every product write
+const searchIndex = new SearchIndex();
+
+// Browsers listening for catalog changes (see live.js)
+const liveUpdates = new LiveUpdates();
+
+// Uploaded product images (see media.js)
+const imageStore = createImageStore();
+const MAX_PRODUCT_IMAGES = 8;
+
+// Tax regions and shipping rules (see pricing.js)
+const pricingConfig = loadPricingConfig();
+
+// Cart items hold their stock for this long after the last change (0 turns reservations off)
+const RESERVATION_MINUTES = Number(process.env.CART_RESERVATION_MINUTES ?? 15);
+
+// Shoppers pick the currency prices are shown in with ?currency= or this header
+const CURRENCY_HEADER = 'x-currency';
+
+// Guest carts nobody has touched for this long are deleted
+const GUEST_CART_DAYS = Number(process.env.GUEST_CART_DAYS ?? 30);
+const GUEST_CART_HEADER = 'x-guest-cart';
+
+// Seed sample data the first time the store is used
 const initializeSampleData = () => {
+    if (users.count() > 0) {
+        console.log(`Using existing data: ${users.count()} users, ${products.count()} products`);
+        return;
+    }
+
     // Sample users
-    users = [
+    [
         {
-            id: nextUserId++,
             firstName: 'Admin',
             lastName: 'User',
             email: 'admin@ecommerce.com',
             password: bcrypt.hashSync('admin123', 12),
-            role: 'admin'
+            role: 'admin',
+            emailVerified: true
         },
         {
-            id: nextUserId++,
             firstName: 'John',
             lastName: 'Doe',
             email: 'user@example.com',
             password: bcrypt.hashSync('password123', 12),
-            role: 'customer'
+            role: 'customer',
+            emailVerified: true
         }
-    ];
+    ].forEach(user => users.insert(user));
 
     // Sample products
-    products = [
+    [
         {
-            id: nextProductId++,
-            _id: 'product1',
             name: "MacBook Pro 16-inch",
             category: "Electronics",
             price: 2499,
             description: "Powerful laptop with M2 chip, perfect for professionals and creators.",
             image: "laptop",
+            weight: 2.1,
             stock: 15,
-            rating: 4.8,
             featured: true
         },
         {
-            id: nextProductId++,
-            _id: 'product2',
             name: "Wireless Bluetooth Headphones",
             category: "Electronics",
             price: 199,
             description: "High-quality noise-cancelling headphones with 30-hour battery life.",
             image: "headphones",
+            weight: 0.3,
             stock: 25,
-            rating: 4.5,
             featured: false
         },
         {
-            id: nextProductId++,
-            _id: 'product3',
             name: "Designer Cotton T-Shirt",
             category: "Clothing",
             price: 35,
             description: "Premium cotton t-shirt with modern fit and sustainable materials.",
             image: "tshirt",
-            stock: 50,
-            rating: 4.2,
-            featured: false
+            weight: 0.2,
+            featured: false,
+            options: [
+                { name: 'Size', values: ['S', 'M', 'L', 'XL'] },
+                { name: 'Color', values: ['White', 'Black'] }
+            ],
+            variants: ['S', 'M', 'L', 'XL'].flatMap(size => ['White', 'Black'].map(color => ({
+                sku: `TEE-${size}-${color.toUpperCase()}`,
+                options: { Size: size, Color: color },
+                price: size === 'XL' ? 38 : null,
+                stock: size === 'XL' ? 4 : 8
+            })))
         },
         {
-            id: nextProductId++,
-            _id: 'product4',
             name: "JavaScript: The Complete Guide",
             category: "Books",
             price: 45,
             description: "Comprehensive guide to modern JavaScript programming techniques.",
             image: "book",
+            weight: 0.9,
             stock: 30,
-            rating: 4.7,
             featured: true
         },
         {
-            id: nextProductId++,
-            _id: 'product5',
             name: "Smart Home Security Camera",
             category: "Home",
             price: 129,
             description: "4K resolution security camera with motion detection and night vision.",
             image: "camera",
+            weight: 0.4,
             stock: 20,
-            rating: 4.4,
             featured: false
         },
         {
-            id: nextProductId++,
-            _id: 'product6',
             name: "Running Shoes - Ultra Boost",
             category: "Sports",
             price: 180,
             description: "Premium running shoes with responsive cushioning and breathable design.",
             image: "shoes",
-            stock: 40,
-            rating: 4.6,
-            featured: true
+            weight: 0.8,
+            featured: true,
+            options: [{ name: 'Size', values: ['8', '9', '10', '11', '12'] }],
+            variants: ['8', '9', '10', '11', '12'].map(size => ({
+                sku: `BOOST-${size}`,
+                options: { Size: size },
+                price: null,
+                stock: 8
+            }))
         }
-    ];
+    ].forEach(product => insertProduct(product));
+
+    // Sample reviews from the demo customer
+    const customer = users.find(u => u.role === 'customer');
+    [
+        { productId: 1, rating: 5, text: 'Fast, quiet and the screen is gorgeous.' },
+        { productId: 2, rating: 4, text: 'Great noise cancelling, a little tight after a few hours.' },
+        { productId: 3, rating: 4, text: 'Soft fabric and true to size.' },
+        { productId: 4, rating: 5, text: 'Clear explanations with lots of practical examples.' },
+        { productId: 5, rating: 4, text: 'Sharp picture, night mode works well.' },
+        { productId: 6, rating: 5, text: 'Really comfortable on long runs.' }
+    ].forEach(review => {
+        reviews.insert({
+            ...review,
+            userId: customer.id,
+            authorName: `${customer.firstName} ${customer.lastName.charAt(0)}.`,
+            hidden: false,
+            createdAt: new Date()
+        });
+        refreshProductRating(review.productId);
+    });
+
+    // Sample coupons
+    [
+        { code: 'WELCOME10', type: 'percentage', value: 10 },
+        { code: 'SAVE20', type: 'fixed', value: 20, minSubtotal: 100 },
+        { code: 'BOOKWORM', type: 'percentage', value: 15, categories: ['Books'] },
+        { code: 'FREESHIP', type: 'free_shipping', minSubtotal: 50 }
+    ].forEach(coupon => coupons.insert(buildCoupon(coupon)));
+
+    exchangeRates.seedDefaults();
 
     console.log('Sample data initialized');
-    console.log(`${users.length} users created`);
-    console.log(`${products.length} products created`);
+    console.log(`${users.count()} users created`);
+    console.log(`${products.count()} products created`);
+    console.log(`${reviews.count()} reviews created`);
+    console.log(`${coupons.count()} coupons created`);
+};
+
+// Products are addressed by numeric id or by their "productN" key
+const matchesProduct = (product, ref) => product._id === ref || product.id === Number(ref);
+
+const findProduct = (ref) => products.find(p => matchesProduct(p, ref));
+
+// Audit entries name what changed in a way that still reads after it's gone
+const productEntity = (product) => ({ type: 'product', id: product._id, label: product.name });
+const couponEntity = (coupon) => ({ type: 'coupon', id: coupon.id, label: coupon.code });
+const reviewEntity = (review) => ({ type: 'review', id: review.id, label: `Review by ${review.authorName}` });
+const userEntity = (user) => ({ type: 'user', id: user.id, label: user.email });
+const currencyEntity = (code) => ({ type: 'currency', id: code, label: code });
+
+const audit = (actor, action, entity, before, after) => auditLog.record({ actor, action, entity, before, after });
+
+const findProductBySku = (sku) => products.find(p => Boolean(p.sku) && p.sku === normalizeSku(sku));
+
+// Rating and reviewCount are always derived from reviews, so clients can't set them
+const insertProduct = (data) => {
+    const id = db.nextId('products');
+    const product = products.insert(withVariantStock({ ...data, id, _id: `product${id}`, rating: 0, reviewCount: 0 }));
+    searchIndex.upsert(product);
+    return product;
+};
+
+// Product form errors for option/variant rules, shaped like validateBody's
+const invalidVariants = (res, message) => {
+    return res.status(400).json({ error: message, code: 'VALIDATION_ERROR', fields: [{ field: 'variants', message }] });
+};
+
+const skuTaken = (res, sku) => {
+    const message = `SKU ${sku} is already used by another product`;
+    return res.status(400).json({ error: message, code: 'VALIDATION_ERROR', fields: [{ field: 'sku', message }] });
+};
+
+// Merge changes into a product. Options and variants must already have passed validateVariantData.
+const saveProductChanges = (existing, changes) => {
+    const product = products.update(existing.id, withVariantStock({
+        ...existing,
+        ...changes,
+        options: changes.options || existing.options || [],
+        variants: normalizeVariants(changes.variants || existing.variants || [])
+    }));
+    searchIndex.upsert(product);
+    return product;
+};
+
+// Tells open pages about a product change once it has been saved. Each subscriber gets
+// the product the way GET /api/products/:id would show it to them.
+const publishProduct = (type, product) => {
+    liveUpdates.publish(type, ({ currency, locale }) => {
+        const pricing = exchangeRates.pricingFor(currency) || exchangeRates.pricingFor(BASE_CURRENCY);
+        return { product: localizeProduct(convertProduct(product, pricing), locale) };
+    });
+};
+
+// A cart line is a product plus, for products with options, one of its variants.
+// Returns null when the product or variant no longer exists.
+const findCartLine = (productRef, sku) => {
+    const product = findProduct(productRef);
+    if (!product) return null;
+    if (!hasVariants(product)) return sku ? null : { product, variant: null };
+
+    const variant = findVariant(product, sku);
+    return variant ? { product, variant } : null;
+};
+
+// Lines are stored under the product's _id, but requests may name it either way
+// ("product2" or "2"), so lines are compared by product rather than by the raw string
+const isSameLine = (item, productRef, sku) => {
+    const product = findProduct(productRef);
+    const sameProduct = product ? matchesProduct(product, item.productId) : item.productId === productRef;
+    return sameProduct && (item.sku || null) === (sku || null);
+};
+
+// Items with their product stored under its _id, for carts saved before lines were
+// keyed that way
+const withProductIds = (items) => items.map(item => {
+    const product = findProduct(item.productId);
+    return product ? { ...item, productId: product._id } : item;
+});
+
+// "Designer Cotton T-Shirt (Size: M, Color: Black)"
+const lineName = (product, variant) => variant ? `${product.name} (${describeVariant(variant)})` : product.name;
+
+// Recompute a product's rating from its visible reviews
+const refreshProductRating = (productId) => {
+    const visible = reviews.filter(r => r.productId === productId && !r.hidden);
+    const total = visible.reduce((sum, r) => sum + r.rating, 0);
+
+    return products.update(productId, {
+        rating: visible.length ? Number((total / visible.length).toFixed(1)) : 0,
+        reviewCount: visible.length
+    });
+};
+
+// Carts belong to an account ({ userId }) or to an anonymous guest ({ guestId }).
+// Guest cart ids are only stored as hashes - whoever has the id has the cart.
+const findCart = (owner) => owner.userId
+    ? carts.find(c => c.userId === owner.userId)
+    : carts.find(c => Boolean(c.guestId) && c.guestId === owner.guestId);
+
+const getOrCreateCart = (owner) => {
+    return findCart(owner) || carts.insert({ ...owner, items: [] });
+};
+
+const guestCartOwner = (guestCartId) => ({ guestId: hashToken(String(guestCartId)) });
+
+const pruneGuestCarts = () => {
+    const cutoff = Date.now() - GUEST_CART_DAYS * 24 * 60 * 60 * 1000;
+    carts
+        .filter(c => c.guestId && new Date(c.lastActiveAt) < cutoff)
+        .forEach(c => carts.remove(c.id));
+};
+
+const reservationExpiry = () => {
+    return RESERVATION_MINUTES > 0 ? new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000) : null;
+};
+
+// Stock left for the cart lines in `lines` once other carts' live reservations and
+// this cart's other lines for the same product and variant are taken out. For
+// products with variants this is the stock of the given variant.
+const getAvailableStock = (product, cart, variant = null, lines = []) => {
+    const stock = variant ? variant.stock : product.stock;
+    const sku = variant ? variant.sku : null;
+    const isLineOf = item => matchesProduct(product, item.productId) && (item.sku || null) === sku;
+
+    const inThisCart = cart
+        ? cart.items
+            .filter(item => isLineOf(item) && !lines.includes(item))
+            .reduce((sum, item) => sum + item.quantity, 0)
+        : 0;
+    if (RESERVATION_MINUTES <= 0) return Math.max(stock - inThisCart, 0);
+
+    const now = Date.now();
+    const reserved = carts
+        .filter(other => !cart || other.id !== cart.id)
+        .reduce((sum, other) => sum + other.items
+            .filter(item => isLineOf(item) && new Date(item.reservedUntil) > now)
+            .reduce((itemSum, item) => itemSum + item.quantity, 0), 0);
+
+    return Math.max(stock - reserved - inThisCart, 0);
+};
+
+const insufficientStock = (res, product, available, variant = null) => {
+    const name = lineName(product, variant);
+    return res.status(409).json({
+        error: available > 0 ? `Only ${available} of ${name} left in stock` : `${name} is out of stock`,
+        code: 'INSUFFICIENT_STOCK',
+        productId: product._id,
+        sku: variant ? variant.sku : null,
+        available
+    });
+};
+
+const buildCoupon = (data, usedCount = 0) => ({
+    code: normalizeCode(data.code),
+    type: data.type,
+    value: data.type === 'free_shipping' ? 0 : Number(data.value),
+    categories: Array.isArray(data.categories) ? data.categories : [],
+    minSubtotal: Number(data.minSubtotal) || 0,
+    expiresAt: data.expiresAt ? new Date(data.expiresAt) : null,
+    usageLimit: Number(data.usageLimit) || null,
+    usedCount,
+    active: data.active !== false
+});
+
+// Pair cart items with their products, dropping any that no longer exist.
+// The line's product carries the variant's price so pricing and coupons use it.
+const toCartLines = (items) => items
+    .map(item => ({ line: findCartLine(item.productId, item.sku), quantity: Number(item.quantity) }))
+    .filter(({ line, quantity }) => line && quantity > 0)
+    .map(({ line: { product, variant }, quantity }) => ({
+        product: { ...product, price: unitPrice(product, variant) },
+        variant,
+        quantity
+    }));
+
+// Cart totals worked out on the server, including any applied coupon
+const buildCartSummary = (cart) => {
+    const lines = toCartLines(cart.items);
+
+    let couponResult = null;
+    let coupon = null;
+    if (cart.couponCode) {
+        couponResult = applyCoupon(coupons.find(c => c.code === cart.couponCode), lines);
+        coupon = couponResult.valid
+            ? { code: cart.couponCode, discount: couponResult.discount, freeShipping: couponResult.freeShipping }
+            : { code: cart.couponCode, discount: 0, freeShipping: false, error: couponResult.error, errorCode: couponResult.code };
+    }
+
+    return {
+        ...priceCart(lines, { regionCode: cart.region, couponResult, config: pricingConfig }),
+        coupon
+    };
+};
+
+// Attach full product details to each cart item, with prices in the shopper's currency
+const populateCart = ({ guestId, ...cart }, pricing) => ({
+    ...cart,
+    summary: convertSummary(buildCartSummary(cart), pricing),
+    items: cart.items.map(item => {
+        const line = findCartLine(item.productId, item.sku);
+        const product = findProduct(item.productId);
+        return {
+            ...item,
+            sku: item.sku || null,
+            available: line ? getAvailableStock(line.product, cart, line.variant, [item]) : 0,
+            price: line ? convertAmount(unitPrice(line.product, line.variant), pricing) : null,
+            variant: line && line.variant ? describeVariant(line.variant) : null,
+            productId: {
+                ...(product && convertProduct(product, pricing)),
+                _id: item.productId
+            }
+        };
+    })
+});
+
+// Sessions and tokens
+// Every login starts a session. Access tokens carry its id (sid), so revoking the
+// session on logout invalidates them straight away instead of when they expire.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Accounts created before verification existed count as verified
+const isEmailVerified = (user) => user.emailVerified !== false;
+
+const toPublicUser = (user) => ({
+    id: user.id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    emailVerified: isEmailVerified(user),
+    currency: user.currency || null
+});
+
+// Replaces any earlier link for the user and emails the new one
+const sendVerificationEmail = async (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    db.transaction(() => {
+        emailVerifications
+            .filter(v => v.userId === user.id)
+            .forEach(v => emailVerifications.remove(v.id));
+
+        emailVerifications.insert({
+            tokenHash: hashToken(token),
+            userId: user.id,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000)
+        });
+    });
+
+    await mailer.send({
+        to: user.email,
+        subject: 'Verify your TechMart email address',
+        text: [
+            `Hi ${user.firstName},`,
+            '',
+            'Thanks for signing up! Please confirm your email address so you can start shopping:',
+            '',
+            `${APP_URL}/?verifyToken=${token}`,
+            '',
+            `This link expires in ${EMAIL_VERIFICATION_HOURS} hours.`
+        ].join('\n')
+    });
+};
+
+const startSession = (user) => sessions.insert({ userId: user.id, createdAt: new Date(), revokedAt: null });
+
+const revokeSession = (sessionId) => {
+    const session = sessions.findById(sessionId);
+    if (session && !session.revokedAt) {
+        sessions.update(session.id, { revokedAt: new Date() });
+    }
+};
+
+// Refresh tokens are only stored as hashes, like passwords
+const issueTokens = (user, session) => {
+    const token = jwt.sign(
+        { id: user.id, email: user.email, role: user.role, sid: session.id },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const refreshToken = crypto.randomBytes(40).toString('hex');
+    refreshTokens.insert({
+        tokenHash: hashToken(refreshToken),
+        sessionId: session.id,
+        userId: user.id,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+        usedAt: null
+    });
+
+    return { token, refreshToken };
+};
+
+const pruneExpiredTokens = () => {
+    const now = new Date();
+    refreshTokens
+        .filter(t => new Date(t.expiresAt) < now)
+        .forEach(t => refreshTokens.remove(t.id));
 };
 
 // JWT middleware
@@ -156,18 +595,132 @@ const authenticateToken = async (req, res, next) => {
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const user = users.find(u => u.id === decoded.id);
+        const decoded = jwt.verify(token, JWT_SECRET);
+
+        const session = decoded.sid && sessions.findById(decoded.sid);
+        if (!session || session.revokedAt) {
+            return res.status(401).json({ error: 'Session has ended, please login again', code: 'TOKEN_REVOKED' });
+        }
+
+        const user = users.findById(decoded.id);
         if (!user) {
             return res.status(401).json({ error: 'Invalid token' });
         }
         req.user = user;
+        req.sessionId = session.id;
         next();
     } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+        }
         return res.status(403).json({ error: 'Invalid token' });
     }
 };
 
+// Cart changes and checkout need a confirmed email address
+const requireVerifiedEmail = (req, res, next) => {
+    if (!isEmailVerified(req.user)) {
+        return res.status(403).json({ error: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
+    }
+    next();
+};
+
+// Cart routes serve verified accounts and, with the X-Guest-Cart header, guests.
+// Signed-in shoppers who haven't verified their email yet keep using their guest cart.
+const resolveCartOwner = (req, res, next) => {
+    const guestCartId = req.headers[GUEST_CART_HEADER];
+    const useGuestCart = () => {
+        const owner = guestCartOwner(guestCartId);
+        const cart = findCart(owner);
+        if (!cart) {
+            return res.status(404).json({ error: 'Your cart has expired', code: 'GUEST_CART_NOT_FOUND' });
+        }
+        carts.update(cart.id, { lastActiveAt: new Date() });
+        req.cartOwner = owner;
+        next();
+    };
+
+    if (!req.headers['authorization']) {
+        return guestCartId ? useGuestCart() : res.status(401).json({ error: 'Access token required' });
+    }
+
+    authenticateToken(req, res, () => {
+        if (isEmailVerified(req.user)) {
+            req.cartOwner = { userId: req.user.id };
+            return next();
+        }
+        if (guestCartId) return useGuestCart();
+        requireVerifiedEmail(req, res, next);
+    });
+};
+
+// Move a guest cart's lines into the user's cart (see cart-merge.js) and delete the
+// guest cart. Returns null when there is no such guest cart, e.g. it was already merged.
+const mergeGuestCart = (user, guestCartId, strategy) => db.transaction(() => {
+    const guestCart = findCart(guestCartOwner(guestCartId));
+    if (!guestCart) return null;
+
+    // Removed first so its reservations don't count against the account's cart
+    carts.remove(guestCart.id);
+    const cart = getOrCreateCart({ userId: user.id });
+
+    const serverItems = withProductIds(cart.items);
+    const { items, merged, dropped } = mergeCartItems(serverItems, withProductIds(guestCart.items), {
+        strategy,
+        findLine: item => findCartLine(item.productId, item.sku),
+        // The account's own line for the product is what the merge replaces
+        availableFor: line => getAvailableStock(line.product, { ...cart, items: serverItems }, line.variant,
+            serverItems.filter(item => isSameLine(item, line.product._id, line.variant ? line.variant.sku : null))),
+        describe: line => lineName(line.product, line.variant),
+        reservedUntil: reservationExpiry()
+    });
+
+    // The guest's region and coupon carry over unless the account already has its own
+    const changes = { items };
+    if (!cart.region && guestCart.region) changes.region = guestCart.region;
+    if (!cart.couponCode && guestCart.couponCode) changes.couponCode = guestCart.couponCode;
+
+    return {
+        cart: carts.update(cart.id, changes),
+        report: {
+            strategy,
+            merged,
+            dropped,
+            coupon: guestCart.couponCode ? { code: guestCart.couponCode, applied: !cart.couponCode } : null
+        }
+    };
+});
+
+// Prices in responses are converted to the requested currency (see currency.js).
+// The header is only a preference: a currency that has since been removed falls back
+// to the base currency, and responses say which currency they are in.
+const resolveCurrency = (req, res, next) => {
+    if (req.query.currency) {
+        const code = String(req.query.currency).trim().toUpperCase();
+        req.pricing = exchangeRates.pricingFor(code);
+        if (!req.pricing) {
+            return res.status(400).json({ error: `Prices aren't available in ${code}`, code: 'UNKNOWN_CURRENCY' });
+        }
+        return next();
+    }
+
+    const preferred = String(req.headers[CURRENCY_HEADER] || '').trim().toUpperCase();
+    req.pricing = exchangeRates.pricingFor(preferred) || exchangeRates.pricingFor(BASE_CURRENCY);
+    next();
+};
+
+// Product names and descriptions are served in the requested locale (see locales.js).
+// ?lang wins over Accept-Language; a language the store doesn't have falls back to
+// the default locale rather than failing.
+const resolveLocale = (req, res, next) => {
+    req.locale = req.query.lang
+        ? matchLocale(req.query.lang) || DEFAULT_LOCALE
+        : negotiateLocale(req.headers['accept-language']);
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+    next();
+};
+
 // Admin middleware
 const requireAdmin = (req, res, next) => {
     if (req.user.role !== 'admin') {
@@ -178,6 +731,16 @@ const requireAdmin = (req, res, next) => {
 
 // Initialize sample data
 initializeSampleData();
+// Data saved before amounts were kept in minor units is converted once
+const migrated = db.transaction(() => ({
+    products: products.migrateLegacyAmounts(),
+    orders: orders.migrateLegacyAmounts(),
+    coupons: coupons.migrateLegacyAmounts()
+}));
+Object.entries(migrated)
+    .filter(([, count]) => count > 0)
+    .forEach(([name, count]) => console.log(`Converted amounts in ${count} ${name} to minor units`));
+searchIndex.rebuild(products.all());
 
 // Routes
 
@@ -186,20 +749,18 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'OK', message: 'TechMart API is running' });
 });
 
+// Uploaded images never change once written, so browsers can keep them for good.
+// The storefront runs on another origin, hence the cross-origin resource policy.
+app.use('/uploads', (req, res, next) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    next();
+}, express.static(imageStore.directory, { maxAge: '365d', immutable: true }));
+
 // Authentication Routes
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', validateBody(schemas.registerSchema), async (req, res) => {
     try {
         const { firstName, lastName, email, password } = req.body;
 
-        // Validation
-        if (!firstName || !lastName || !email || !password) {
-            return res.status(400).json({ error: 'All fields are required' });
-        }
-
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters' });
-        }
-
         // Check if user exists
         const existingUser = users.find(u => u.email === email);
         if (existingUser) {
@@ -208,33 +769,32 @@ app.post('/api/auth/register', async (req, res) => {
 
         // Create user
         const hashedPassword = await bcrypt.hash(password, 12);
-        const user = {
-            id: nextUserId++,
-            firstName,
-            lastName,
-            email,
-            password: hashedPassword,
-            role: 'customer'
-        };
+        const user = db.transaction(() => {
+            const created = users.insert({
+                firstName,
+                lastName,
+                email,
+                password: hashedPassword,
+                role: 'customer',
+                emailVerified: false
+            });
+            audit(created, 'user.register', userEntity(created), null, created);
+            return created;
+        });
 
-        users.push(user);
+        // A failed email shouldn't block signup - the user can ask for another one
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error('Verification email error:', error);
+        }
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '24h' }
-        );
+        // Generate tokens
+        const tokens = issueTokens(user, startSession(user));
 
         res.status(201).json({
-            token,
-            user: {
-                id: user.id,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                email: user.email,
-                role: user.role
-            }
+            ...tokens,
+            user: toPublicUser(user)
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -242,14 +802,9 @@ app.post('/api/auth/register', async (req, res) => {
     }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', validateBody(schemas.loginSchema), async (req, res) => {
     try {
-        const { email, password } = req.body;
-
-        // Validation
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password are required' });
-        }
+        const { email, password, guestCartId, cartMerge } = req.body;
 
         // Find user
         const user = users.find(u => u.email === email);
@@ -263,22 +818,17 @@ app.post('/api/auth/login', async (req, res) => {
             return res.status(400).json({ error: 'Invalid email or password' });
         }
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '24h' }
-        );
+        // Generate tokens
+        pruneExpiredTokens();
+        const tokens = issueTokens(user, startSession(user));
+
+        // Unverified accounts have no cart of their own yet, so their guest cart stays as it is
+        const merge = guestCartId && isEmailVerified(user) ? mergeGuestCart(user, guestCartId, cartMerge) : null;
 
         res.json({
-            token,
-            user: {
-                id: user.id,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                email: user.email,
-                role: user.role
-            }
+            ...tokens,
+            user: toPublicUser(user),
+            cartMerge: merge ? merge.report : null
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -286,254 +836,949 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
-app.get('/api/auth/me', authenticateToken, async (req, res) => {
-    res.json({
-        user: {
-            id: req.user.id,
-            firstName: req.user.firstName,
-            lastName: req.user.lastName,
-            email: req.user.email,
-            role: req.user.role
-        }
-    });
-});
-
-// Product Routes
-app.get('/api/products', async (req, res) => {
+// Swap a refresh token for a new access + refresh token pair
+app.post('/api/auth/refresh', validateBody(schemas.refreshSchema), async (req, res) => {
     try {
-        const {
-            page = 1,
-            limit = 12,
-            search = '',
-            category = '',
-            minPrice = 0,
-            maxPrice = 10000,
-            sortBy = 'name',
-            sortOrder = 'asc'
-        } = req.query;
-
-        // Filter products
-        let filteredProducts = [...products];
+        const { refreshToken } = req.body;
 
-        if (search) {
-            const searchTerm = search.toLowerCase();
-            filteredProducts = filteredProducts.filter(product =>
-                product.name.toLowerCase().includes(searchTerm) ||
-                product.description.toLowerCase().includes(searchTerm)
-            );
+        const stored = refreshTokens.find(t => t.tokenHash === hashToken(refreshToken));
+        const session = stored && sessions.findById(stored.sessionId);
+        if (!stored || !session || session.revokedAt) {
+            return res.status(401).json({ error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' });
         }
 
-        if (category) {
-            filteredProducts = filteredProducts.filter(product => product.category === category);
+        // A refresh token that was already rotated is being replayed - assume it leaked and end the session
+        if (stored.usedAt) {
+            revokeSession(session.id);
+            return res.status(401).json({ error: 'Invalid refresh token', code: 'REFRESH_TOKEN_REUSED' });
         }
 
-        filteredProducts = filteredProducts.filter(product =>
-            product.price >= Number(minPrice) && product.price <= Number(maxPrice)
-        );
-
-        // Sort products
-        filteredProducts.sort((a, b) => {
-            let aVal = a[sortBy];
-            let bVal = b[sortBy];
-
-            if (typeof aVal === 'string') {
-                aVal = aVal.toLowerCase();
-                bVal = bVal.toLowerCase();
-            }
-
-            if (sortOrder === 'desc') {
-                return bVal > aVal ? 1 : -1;
-            } else {
-                return aVal > bVal ? 1 : -1;
-            }
-        });
+        if (new Date(stored.expiresAt) < new Date()) {
+            return res.status(401).json({ error: 'Session has expired, please login again', code: 'REFRESH_TOKEN_EXPIRED' });
+        }
 
-        // Paginate
-        const startIndex = (Number(page) - 1) * Number(limit);
-        const endIndex = startIndex + Number(limit);
-        const paginatedProducts = filteredProducts.slice(startIndex, endIndex);
+        const user = users.findById(stored.userId);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' });
+        }
 
-        // Add cache control headers for development
-        res.set({
-            'Cache-Control': 'no-cache, no-store, must-revalidate',
-            'Pragma': 'no-cache',
-            'Expires': '0'
+        const tokens = db.transaction(() => {
+            refreshTokens.update(stored.id, { usedAt: new Date() });
+            return issueTokens(user, session);
         });
 
         res.json({
-            products: paginatedProducts,
-            pagination: {
-                currentPage: Number(page),
-                totalPages: Math.ceil(filteredProducts.length / Number(limit)),
-                totalItems: filteredProducts.length,
-                itemsPerPage: Number(limit)
-            }
+            ...tokens,
+            user: toPublicUser(user)
         });
     } catch (error) {
-        console.error('Get products error:', error);
+        console.error('Refresh token error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.get('/api/products/categories', async (req, res) => {
+// Revokes the session behind the access token and/or refresh token.
+// Expired access tokens are accepted here so logging out always works.
+app.post('/api/auth/logout', validateBody(schemas.logoutSchema), async (req, res) => {
     try {
-        const categories = [...new Set(products.map(p => p.category))];
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+        const { refreshToken } = req.body;
+
+        if (token) {
+            try {
+                const decoded = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+                revokeSession(decoded.sid);
+            } catch (error) {
+                // Not a token we issued - nothing to revoke
+            }
+        }
 
-        // Add cache control headers for development
-        res.set({
-            'Cache-Control': 'no-cache, no-store, must-revalidate',
-            'Pragma': 'no-cache',
-            'Expires': '0'
-        });
+        if (refreshToken) {
+            const stored = refreshTokens.find(t => t.tokenHash === hashToken(refreshToken));
+            if (stored) {
+                revokeSession(stored.sessionId);
+            }
+        }
 
-        res.json(categories);
+        res.json({ message: 'Logged out successfully' });
     } catch (error) {
-        console.error('Get categories error:', error);
+        console.error('Logout error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.get('/api/products/:id', async (req, res) => {
+app.post('/api/auth/verify-email', validateBody(schemas.tokenSchema), async (req, res) => {
     try {
-        const product = products.find(p => p.id === Number(req.params.id) || p._id === req.params.id);
-        if (!product) {
-            return res.status(404).json({ error: 'Product not found' });
+        const { token } = req.body;
+
+        const verification = emailVerifications.find(v => v.tokenHash === hashToken(token));
+        if (!verification || new Date(verification.expiresAt) < new Date()) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired', code: 'INVALID_VERIFICATION_TOKEN' });
         }
-        res.json(product);
+
+        const user = db.transaction(() => {
+            emailVerifications.remove(verification.id);
+            const before = users.findById(verification.userId);
+            const updated = users.update(verification.userId, { emailVerified: true });
+            audit(updated, 'user.verify-email', userEntity(updated), before, updated);
+            return updated;
+        });
+
+        res.json({ message: 'Email verified', user: toPublicUser(user) });
     } catch (error) {
-        console.error('Get product error:', error);
+        console.error('Verify email error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.post('/api/products', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
     try {
-        const product = {
-            id: nextProductId++,
-            _id: `product${nextProductId}`,
-            ...req.body,
-            rating: parseFloat(req.body.rating) || 4.0,
-            featured: false
-        };
+        if (isEmailVerified(req.user)) {
+            return res.status(400).json({ error: 'Your email is already verified' });
+        }
 
-        products.push(product);
-        res.status(201).json(product);
+        const latest = emailVerifications.find(v => v.userId === req.user.id);
+        if (latest && Date.now() - new Date(latest.createdAt) < RESEND_VERIFICATION_SECONDS * 1000) {
+            return res.status(429).json({ error: 'Please wait a minute before asking for another email' });
+        }
+
+        await sendVerificationEmail(req.user);
+        res.json({ message: `Verification email sent to ${req.user.email}` });
     } catch (error) {
-        console.error('Create product error:', error);
+        console.error('Resend verification error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.put('/api/products/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Always answers the same way so it can't be used to find out which emails have accounts
+app.post('/api/auth/forgot-password', validateBody(schemas.forgotPasswordSchema), async (req, res) => {
     try {
-        const productIndex = products.findIndex(p => p.id === Number(req.params.id) || p._id === req.params.id);
+        const { email } = req.body;
 
-        if (productIndex === -1) {
-            return res.status(404).json({ error: 'Product not found' });
+        const user = users.find(u => u.email === email);
+        if (user) {
+            const token = crypto.randomBytes(32).toString('hex');
+
+            db.transaction(() => {
+                // Only the newest link works
+                passwordResets
+                    .filter(r => r.userId === user.id && !r.usedAt)
+                    .forEach(r => passwordResets.remove(r.id));
+
+                passwordResets.insert({
+                    tokenHash: hashToken(token),
+                    userId: user.id,
+                    expiresAt: new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000),
+                    usedAt: null
+                });
+            });
+
+            await mailer.send({
+                to: user.email,
+                subject: 'Reset your TechMart password',
+                text: [
+                    `Hi ${user.firstName},`,
+                    '',
+                    'Someone asked to reset the password for your TechMart account.',
+                    `Use this link within ${PASSWORD_RESET_MINUTES} minutes to choose a new one:`,
+                    '',
+                    `${APP_URL}/?resetToken=${token}`,
+                    '',
+                    'If this wasn\'t you, you can ignore this email.'
+                ].join('\n')
+            });
         }
 
-        products[productIndex] = { ...products[productIndex], ...req.body };
-        res.json(products[productIndex]);
+        res.json({ message: 'If an account exists for that email, a reset link is on its way' });
     } catch (error) {
-        console.error('Update product error:', error);
+        console.error('Forgot password error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.delete('/api/products/:id', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/auth/reset-password', validateBody(schemas.resetPasswordSchema), async (req, res) => {
     try {
-        const productIndex = products.findIndex(p => p.id === Number(req.params.id) || p._id === req.params.id);
-        if (productIndex === -1) {
-            return res.status(404).json({ error: 'Product not found' });
+        const { token, password } = req.body;
+
+        const reset = passwordResets.find(r => r.tokenHash === hashToken(token));
+        if (!reset || reset.usedAt || new Date(reset.expiresAt) < new Date()) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired', code: 'INVALID_RESET_TOKEN' });
         }
 
-        products.splice(productIndex, 1);
-        res.json({ message: 'Product deleted successfully' });
+        const hashedPassword = await bcrypt.hash(password, 12);
+
+        // Check again after hashing in case the same link was used meanwhile.
+        // Sign out everywhere, in case the old password was compromised.
+        const applied = db.transaction(() => {
+            if (passwordResets.findById(reset.id).usedAt) return false;
+
+            passwordResets.update(reset.id, { usedAt: new Date() });
+            const before = users.findById(reset.userId);
+            const updated = users.update(reset.userId, { password: hashedPassword });
+            audit(updated, 'user.reset-password', userEntity(updated), before, updated);
+            sessions
+                .filter(session => session.userId === reset.userId && !session.revokedAt)
+                .forEach(session => revokeSession(session.id));
+            return true;
+        });
+
+        if (!applied) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired', code: 'INVALID_RESET_TOKEN' });
+        }
+
+        res.json({ message: 'Password updated, you can now login' });
     } catch (error) {
-        console.error('Delete product error:', error);
+        console.error('Reset password error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Cart Routes
-app.get('/api/cart', authenticateToken, async (req, res) => {
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+    res.json({
+        user: toPublicUser(req.user)
+    });
+});
+
+// The shopper's preferred currency follows them to any device they sign in on
+app.put('/api/auth/me/preferences', authenticateToken, validateBody(schemas.preferencesSchema), async (req, res) => {
     try {
-        let cart = carts.find(c => c.userId === req.user.id);
+        const currency = req.body.currency ? req.body.currency.toUpperCase() : null;
 
-        if (!cart) {
-            cart = { userId: req.user.id, items: [] };
-            carts.push(cart);
+        if (currency && !exchangeRates.pricingFor(currency)) {
+            return res.status(400).json({ error: `Prices aren't available in ${currency}`, code: 'UNKNOWN_CURRENCY' });
         }
 
-        // Populate product details
-        const populatedItems = cart.items.map(item => ({
-            ...item,
-            productId: {
-                ...products.find(p => p.id === item.productId || p._id === item.productId),
-                _id: item.productId
-            }
-        }));
+        const user = db.transaction(() => {
+            const saved = users.update(req.user.id, { currency });
+            audit(req.user, 'user.update-preferences', userEntity(saved), req.user, saved);
+            return saved;
+        });
 
-        res.json({ ...cart, items: populatedItems });
+        res.json({ user: toPublicUser(user) });
     } catch (error) {
-        console.error('Get cart error:', error);
+        console.error('Update preferences error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.post('/api/cart/add', authenticateToken, async (req, res) => {
-    try {
-        const { productId, quantity = 1 } = req.body;
+// Languages product text can be served in
+app.get('/api/locales', async (req, res) => {
+    res.json({ default: DEFAULT_LOCALE, locales: SUPPORTED_LOCALES });
+});
 
-        // Validate product exists
-        const product = products.find(p => p.id === productId || p._id === productId);
-        if (!product) {
-            return res.status(404).json({ error: 'Product not found' });
-        }
+// Live catalog updates as Server-Sent Events (see live.js). EventSource can't send
+// headers, so the currency and language come from ?currency and ?lang.
+app.get('/api/events', resolveCurrency, resolveLocale, (req, res) => {
+    liveUpdates.subscribe(req, res, { currency: req.pricing.currency, locale: req.locale });
+});
 
-        let cart = carts.find(c => c.userId === req.user.id);
+// Currencies prices can be shown in, with the rate from the base currency
+app.get('/api/currencies', async (req, res) => {
+    try {
+        res.json({ base: BASE_CURRENCY, currencies: exchangeRates.list() });
+    } catch (error) {
+        console.error('Get currencies error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        if (!cart) {
-            cart = { userId: req.user.id, items: [] };
-            carts.push(cart);
+// Adds the currency if it isn't offered yet
+app.put('/api/admin/currencies/:code', authenticateToken, requireAdmin, validateBody(schemas.exchangeRateSchema), async (req, res) => {
+    try {
+        const code = req.params.code.toUpperCase();
+
+        if (code === BASE_CURRENCY) {
+            return res.status(400).json({ error: `${code} is the base currency, so its rate is always 1`, code: 'BASE_CURRENCY' });
+        }
+        if (!isSupportedCurrency(code)) {
+            return res.status(400).json({ error: `${code} is not a currency code`, code: 'UNKNOWN_CURRENCY' });
+        }
+
+        const { after } = db.transaction(() => {
+            const change = exchangeRates.set(code, req.body.rate);
+            audit(req.user, change.before ? 'currency.update' : 'currency.create', currencyEntity(code), change.before, change.after);
+            return change;
+        });
+
+        res.json(after);
+    } catch (error) {
+        console.error('Set exchange rate error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Shoppers using the currency go back to the base currency
+app.delete('/api/admin/currencies/:code', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const code = req.params.code.toUpperCase();
+
+        const removed = db.transaction(() => {
+            const entry = exchangeRates.remove(code);
+            if (entry) {
+                audit(req.user, 'currency.delete', currencyEntity(code), entry, null);
+            }
+            return entry;
+        });
+        if (!removed) {
+            return res.status(404).json({ error: 'Currency not found' });
+        }
+
+        res.json({ message: `${code} removed` });
+    } catch (error) {
+        console.error('Delete exchange rate error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Product Routes
+app.get('/api/products', resolveCurrency, resolveLocale, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 12,
+            search = '',
+            sortBy = 'name',
+            sortOrder = 'asc'
+        } = req.query;
+        const filters = parseProductFilters(req.query);
+
+        // Converted first so price filters, facets and sorting by name use what the shopper sees
+        const allProducts = products.all().map(product => localizeProduct(convertProduct(product, req.pricing), req.locale));
+        let searchResults = allProducts;
+
+        // Ranked matches from the search index, keyed by product id
+        let matches = null;
+        if (search) {
+            matches = new Map(searchIndex.search(search).map((match, rank) => [match.id, { ...match, rank }]));
+            searchResults = allProducts.filter(product => matches.has(product.id));
+        }
+
+        // Filter products
+        const filteredProducts = filterProducts(searchResults, filters);
+        const facets = buildFacets(searchResults, filters, [...new Set(allProducts.map(p => p.category))].sort());
+
+        // Sort products
+        if (sortBy === 'relevance' && matches) {
+            filteredProducts.sort((a, b) => matches.get(a.id).rank - matches.get(b.id).rank);
+        } else {
+            // Without a search there is nothing to rank, so relevance falls back to name
+            const field = sortBy === 'relevance' ? 'name' : sortBy;
+            const order = sortBy === 'relevance' ? 'asc' : sortOrder;
+
+            filteredProducts.sort((a, b) => {
+                let aVal = a[field];
+                let bVal = b[field];
+
+                if (typeof aVal === 'string') {
+                    aVal = aVal.toLowerCase();
+                    bVal = bVal.toLowerCase();
+                }
+
+                if (order === 'desc') {
+                    return bVal > aVal ? 1 : -1;
+                } else {
+                    return aVal > bVal ? 1 : -1;
+                }
+            });
+        }
+
+        // Paginate
+        const startIndex = (Number(page) - 1) * Number(limit);
+        const endIndex = startIndex + Number(limit);
+        const paginatedProducts = filteredProducts.slice(startIndex, endIndex).map(product => {
+            if (!matches) return product;
+
+            // HTML with the matching words in <mark>, already escaped
+            const { terms } = matches.get(product.id);
+            return {
+                ...product,
+                highlights: { name: highlight(product.name, terms), description: snippet(product.description, terms) }
+            };
+        });
+
+        // Add cache control headers for development
+        res.set({
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Pragma': 'no-cache',
+            'Expires': '0'
+        });
+
+        res.json({
+            products: paginatedProducts,
+            pagination: {
+                currentPage: Number(page),
+                totalPages: Math.ceil(filteredProducts.length / Number(limit)),
+                totalItems: filteredProducts.length,
+                itemsPerPage: Number(limit)
+            },
+            facets,
+            currency: req.pricing.currency,
+            locale: req.locale
+        });
+    } catch (error) {
+        console.error('Get products error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/products/categories', async (req, res) => {
+    try {
+        const categories = [...new Set(products.all().map(p => p.category))];
+
+        // Add cache control headers for development
+        res.set({
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Pragma': 'no-cache',
+            'Expires': '0'
+        });
+
+        res.json(categories);
+    } catch (error) {
+        console.error('Get categories error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/products/:id', resolveCurrency, resolveLocale, async (req, res) => {
+    try {
+        const product = findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        // How many visible reviews gave each star rating, 5 stars first
+        const visible = reviews.filter(r => r.productId === product.id && !r.hidden);
+        const ratingBreakdown = [5, 4, 3, 2, 1].map(stars => ({
+            stars,
+            count: visible.filter(r => r.rating === stars).length
+        }));
+
+        res.json({ ...localizeProduct(convertProduct(product, req.pricing), req.locale), ratingBreakdown });
+    } catch (error) {
+        console.error('Get product error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/products', authenticateToken, requireAdmin, validateBody(schemas.productSchema), async (req, res) => {
+    try {
+        const { options = [], variants = [] } = req.body;
+        const variantError = validateVariantData(options, variants);
+        if (variantError) {
+            return invalidVariants(res, variantError);
+        }
+
+        const sku = req.body.sku ? normalizeSku(req.body.sku) : null;
+        if (sku && findProductBySku(sku)) {
+            return skuTaken(res, sku);
+        }
+
+        const product = db.transaction(() => {
+            const created = insertProduct({
+                ...req.body,
+                sku,
+                options,
+                variants: normalizeVariants(variants)
+            });
+            audit(req.user, 'product.create', productEntity(created), null, created);
+            return created;
+        });
+
+        publishProduct('product.created', product);
+        res.status(201).json(product);
+    } catch (error) {
+        console.error('Create product error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.put('/api/products/:id', authenticateToken, requireAdmin, validateBody(schemas.productSchema, { partial: true }), async (req, res) => {
+    try {
+        const existing = findProduct(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const options = req.body.options || existing.options || [];
+        const variants = req.body.variants || existing.variants || [];
+        const variantError = validateVariantData(options, variants);
+        if (variantError) {
+            return invalidVariants(res, variantError);
+        }
+
+        const changes = { ...req.body };
+        if (changes.sku) {
+            changes.sku = normalizeSku(changes.sku);
+            const owner = findProductBySku(changes.sku);
+            if (owner && owner.id !== existing.id) {
+                return skuTaken(res, changes.sku);
+            }
+        }
+
+        const product = db.transaction(() => {
+            const saved = saveProductChanges(existing, changes);
+            audit(req.user, 'product.update', productEntity(saved), existing, saved);
+            return saved;
+        });
+        publishProduct('product.updated', product);
+        res.json(product);
+    } catch (error) {
+        console.error('Update product error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/products/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const product = findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        db.transaction(() => {
+            products.remove(product.id);
+            reviews.filter(r => r.productId === product.id).forEach(r => reviews.remove(r.id));
+            audit(req.user, 'product.delete', productEntity(product), product, null);
+        });
+        searchIndex.remove(product.id);
+        liveUpdates.publish('product.deleted', { productId: product._id });
+        await Promise.all((product.images || []).map(image => imageStore.remove(image)));
+        res.json({ message: 'Product deleted successfully' });
+    } catch (error) {
+        console.error('Delete product error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Bulk import and export (admin)
+app.get('/api/admin/products/export', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.attachment(`techmart-products-${date}.${format}`);
+        res.type(format === 'json' ? 'application/json' : 'text/csv');
+        res.send(exportProducts(products.all(), format));
+    } catch (error) {
+        console.error('Export products error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// With dryRun the report is returned without changing anything. Otherwise the rows
+// are only applied if none of them has errors.
+app.post('/api/admin/products/import', authenticateToken, requireAdmin, validateBody(schemas.productImportSchema), async (req, res) => {
+    try {
+        const { format, content, dryRun } = req.body;
+
+        let plan;
+        try {
+            plan = planImport(readImportRows(format, content), { findProduct, findProductBySku });
+        } catch (error) {
+            if (error instanceof ImportFileError) {
+                return res.status(400).json({ error: error.message, code: 'INVALID_IMPORT_FILE' });
+            }
+            throw error;
+        }
+
+        const invalid = plan.filter(row => row.errors.length > 0);
+        const report = {
+            dryRun,
+            valid: invalid.length === 0,
+            summary: {
+                create: plan.filter(row => row.action === 'create').length,
+                update: plan.filter(row => row.action === 'update').length,
+                invalid: invalid.length
+            },
+            rows: plan.map(({ line, action, product, name, errors }) => ({
+                line,
+                action,
+                productId: product ? product._id : null,
+                name,
+                errors
+            }))
+        };
+
+        if (dryRun) {
+            return res.json(report);
+        }
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                ...report,
+                error: `${invalid.length} ${invalid.length === 1 ? 'row has' : 'rows have'} errors, so nothing was imported`,
+                code: 'IMPORT_INVALID'
+            });
+        }
+
+        // Published once everything has been saved
+        const published = [];
+        db.transaction(() => {
+            plan.forEach(({ action, product, changes }, index) => {
+                if (action === 'update') {
+                    const saved = saveProductChanges(product, changes);
+                    audit(req.user, 'product.update', productEntity(saved), product, saved);
+                    published.push(['product.updated', saved]);
+                } else {
+                    const saved = insertProduct({
+                        ...changes,
+                        sku: changes.sku || null,
+                        options: changes.options || [],
+                        variants: normalizeVariants(changes.variants || [])
+                    });
+                    audit(req.user, 'product.create', productEntity(saved), null, saved);
+                    report.rows[index].productId = saved._id;
+                    published.push(['product.created', saved]);
+                }
+            });
+        });
+        published.forEach(([type, product]) => publishProduct(type, product));
+
+        res.json(report);
+    } catch (error) {
+        console.error('Import products error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Product images
+// A product's images are kept in display order; the first one is the primary image.
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => cb(null, ACCEPTED_TYPES.includes(file.mimetype))
+});
+
+// Turn multer's errors into the usual JSON errors
+const uploadImage = (req, res, next) => {
+    upload.single('image')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Images must be ${MAX_IMAGE_BYTES / 1024 / 1024} MB or smaller`
+                : 'Upload one image in the "image" field';
+            return res.status(400).json({ error: message, code: 'INVALID_IMAGE' });
+        }
+        next(error);
+    });
+};
+
+app.post('/api/products/:id/images', authenticateToken, requireAdmin, uploadImage, async (req, res) => {
+    try {
+        const product = findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'Choose a JPEG, PNG, WebP or GIF image', code: 'INVALID_IMAGE' });
+        }
+
+        const images = product.images || [];
+        if (images.length >= MAX_PRODUCT_IMAGES) {
+            return res.status(400).json({ error: `A product can have up to ${MAX_PRODUCT_IMAGES} images`, code: 'TOO_MANY_IMAGES' });
+        }
+
+        const alt = String(req.body.alt || '').trim().slice(0, 200);
+        const image = { ...await imageStore.save(req.file.buffer), alt: alt || product.name };
+
+        const updated = db.transaction(() => {
+            const saved = products.update(product.id, { images: [...images, image] });
+            audit(req.user, 'product.image-add', productEntity(saved), product, saved);
+            return saved;
+        });
+        publishProduct('product.updated', updated);
+        res.status(201).json(updated);
+    } catch (error) {
+        if (error instanceof InvalidImageError) {
+            return res.status(400).json({ error: error.message, code: 'INVALID_IMAGE' });
+        }
+        console.error('Upload product image error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Body lists every image id in the new order
+app.put('/api/products/:id/images', authenticateToken, requireAdmin, validateBody(schemas.productImageOrderSchema), async (req, res) => {
+    try {
+        const product = findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const images = product.images || [];
+        const { order } = req.body;
+        if (order.length !== images.length || new Set(order).size !== order.length ||
+            !order.every(id => images.some(image => image.id === id))) {
+            return res.status(400).json({ error: 'order must list each of the product\'s image ids once', code: 'VALIDATION_ERROR' });
+        }
+
+        const updated = db.transaction(() => {
+            const saved = products.update(product.id, {
+                images: order.map(id => images.find(image => image.id === id))
+            });
+            audit(req.user, 'product.image-reorder', productEntity(saved), product, saved);
+            return saved;
+        });
+        publishProduct('product.updated', updated);
+        res.json(updated);
+    } catch (error) {
+        console.error('Reorder product images error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/products/:id/images/:imageId', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const product = findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const image = (product.images || []).find(i => i.id === req.params.imageId);
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const updated = db.transaction(() => {
+            const saved = products.update(product.id, { images: product.images.filter(i => i.id !== image.id) });
+            audit(req.user, 'product.image-remove', productEntity(saved), product, saved);
+            return saved;
+        });
+        publishProduct('product.updated', updated);
+        await imageStore.remove(image);
+        res.json(updated);
+    } catch (error) {
+        console.error('Delete product image error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Review Routes
+app.get('/api/products/:id/reviews', async (req, res) => {
+    try {
+        const product = findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const productReviews = reviews
+            .filter(r => r.productId === product.id && !r.hidden)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.json({
+            reviews: productReviews,
+            rating: product.rating,
+            reviewCount: product.reviewCount
+        });
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// One review per customer per product - posting again replaces the earlier one
+app.post('/api/products/:id/reviews', authenticateToken, validateBody(schemas.reviewSchema), async (req, res) => {
+    try {
+        const product = findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const { rating, text } = req.body;
+        const existing = reviews.find(r => r.productId === product.id && r.userId === req.user.id);
+
+        const review = db.transaction(() => {
+            const saved = existing
+                ? reviews.update(existing.id, { rating, text, updatedAt: new Date() })
+                : reviews.insert({
+                    productId: product.id,
+                    userId: req.user.id,
+                    authorName: `${req.user.firstName} ${req.user.lastName.charAt(0)}.`,
+                    rating,
+                    text,
+                    hidden: false,
+                    createdAt: new Date()
+                });
+            refreshProductRating(product.id);
+            return saved;
+        });
+
+        res.status(existing ? 200 : 201).json(review);
+    } catch (error) {
+        console.error('Create review error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Review moderation (admin)
+app.get('/api/admin/reviews', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const allReviews = reviews
+            .all()
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(review => ({
+                ...review,
+                productName: (products.findById(review.productId) || {}).name
+            }));
+
+        res.json(allReviews);
+    } catch (error) {
+        console.error('Get admin reviews error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.patch('/api/admin/reviews/:id', authenticateToken, requireAdmin, validateBody(schemas.reviewModerationSchema), async (req, res) => {
+    try {
+        const existing = reviews.findById(Number(req.params.id));
+        if (!existing) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        const review = db.transaction(() => {
+            const saved = reviews.update(existing.id, { hidden: req.body.hidden });
+            refreshProductRating(existing.productId);
+            audit(req.user, req.body.hidden ? 'review.hide' : 'review.show', reviewEntity(saved), existing, saved);
+            return saved;
+        });
+
+        res.json(review);
+    } catch (error) {
+        console.error('Moderate review error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/admin/reviews/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const review = reviews.findById(Number(req.params.id));
+        if (!review) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        db.transaction(() => {
+            reviews.remove(review.id);
+            refreshProductRating(review.productId);
+            audit(req.user, 'review.delete', reviewEntity(review), review, null);
+        });
+
+        res.json({ message: 'Review deleted successfully' });
+    } catch (error) {
+        console.error('Delete review error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Cart Routes
+// A new anonymous cart for a shopper who isn't signed in. The id goes in the
+// X-Guest-Cart header of later cart requests.
+app.post('/api/cart/guest', resolveCurrency, validateBody(schemas.guestCartSchema), async (req, res) => {
+    try {
+        const { region } = req.body;
+
+        if (region && !pricingConfig.regions[region]) {
+            return res.status(400).json({ error: 'We do not ship to that region yet', code: 'UNKNOWN_REGION' });
+        }
+
+        pruneGuestCarts();
+        const guestCartId = crypto.randomBytes(24).toString('hex');
+        const cart = carts.insert({ ...guestCartOwner(guestCartId), items: [], region: region || null, lastActiveAt: new Date() });
+
+        res.status(201).json({ guestCartId, cart: populateCart(cart, req.pricing) });
+    } catch (error) {
+        console.error('Create guest cart error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// For shoppers who sign in some other way than the login form, e.g. by verifying their email
+app.post('/api/cart/merge', resolveCurrency, authenticateToken, requireVerifiedEmail, validateBody(schemas.cartMergeSchema), async (req, res) => {
+    try {
+        const { guestCartId, strategy } = req.body;
+
+        const merge = mergeGuestCart(req.user, guestCartId, strategy);
+        if (!merge) {
+            return res.status(404).json({ error: 'That cart has already been merged or has expired', code: 'GUEST_CART_NOT_FOUND' });
+        }
+
+        res.json({ cart: populateCart(merge.cart, req.pricing), report: merge.report });
+    } catch (error) {
+        console.error('Merge cart error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/cart', resolveCurrency, resolveCartOwner, async (req, res) => {
+    try {
+        const cart = getOrCreateCart(req.cartOwner);
+
+        res.json(populateCart(cart, req.pricing));
+    } catch (error) {
+        console.error('Get cart error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/cart/add', resolveCurrency, resolveCartOwner, validateBody(schemas.cartAddSchema), async (req, res) => {
+    try {
+        const { productId, quantity } = req.body;
+        const sku = req.body.sku ? normalizeSku(req.body.sku) : null;
+
+        // Validate product exists
+        const product = findProduct(productId);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const variant = findVariant(product, sku);
+        if (hasVariants(product) && !sku) {
+            return res.status(400).json({ error: `Choose ${product.options.map(o => o.name.toLowerCase()).join(' and ')} for ${product.name}`, code: 'VARIANT_REQUIRED' });
+        }
+        if (sku && !variant) {
+            return res.status(404).json({ error: `${product.name} isn't available in that option`, code: 'VARIANT_NOT_FOUND' });
         }
 
+        const cart = getOrCreateCart(req.cartOwner);
+
         // Check if item already exists in cart
-        const existingItem = cart.items.find(item => item.productId === productId);
+        const existingItem = cart.items.find(item => isSameLine(item, product._id, sku));
+        const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+
+        const available = getAvailableStock(product, cart, variant, existingItem ? [existingItem] : []);
+        if (newQuantity > available) {
+            return insufficientStock(res, product, available, variant);
+        }
 
         if (existingItem) {
-            existingItem.quantity += Number(quantity);
+            existingItem.quantity = newQuantity;
+            existingItem.reservedUntil = reservationExpiry();
         } else {
-            cart.items.push({ productId, quantity: Number(quantity), addedAt: new Date() });
+            cart.items.push({ productId: product._id, sku, quantity: newQuantity, addedAt: new Date(), reservedUntil: reservationExpiry() });
         }
 
-        // Populate product details for response
-        const populatedItems = cart.items.map(item => ({
-            ...item,
-            productId: {
-                ...products.find(p => p.id === item.productId || p._id === item.productId),
-                _id: item.productId
-            }
-        }));
+        const updatedCart = carts.update(cart.id, { items: cart.items });
 
-        res.json({ ...cart, items: populatedItems });
+        // Populate product details for response
+        res.json(populateCart(updatedCart, req.pricing));
     } catch (error) {
         console.error('Add to cart error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.put('/api/cart/update', authenticateToken, async (req, res) => {
+app.put('/api/cart/update', resolveCurrency, resolveCartOwner, validateBody(schemas.cartUpdateSchema), async (req, res) => {
     try {
         const { productId, quantity } = req.body;
+        const sku = req.body.sku ? normalizeSku(req.body.sku) : null;
 
-        let cart = carts.find(c => c.userId === req.user.id);
+        const cart = findCart(req.cartOwner);
 
         if (!cart) {
             return res.status(404).json({ error: 'Cart not found' });
         }
 
-        const itemIndex = cart.items.findIndex(item => item.productId === productId);
+        const itemIndex = cart.items.findIndex(item => isSameLine(item, productId, sku));
 
         if (itemIndex === -1) {
             return res.status(404).json({ error: 'Item not found in cart' });
@@ -542,67 +1787,379 @@ app.put('/api/cart/update', authenticateToken, async (req, res) => {
         if (quantity <= 0) {
             cart.items.splice(itemIndex, 1);
         } else {
-            cart.items[itemIndex].quantity = Number(quantity);
+            const line = findCartLine(productId, sku);
+            const available = line ? getAvailableStock(line.product, cart, line.variant, [cart.items[itemIndex]]) : 0;
+            if (quantity > available) {
+                return line
+                    ? insufficientStock(res, line.product, available, line.variant)
+                    : insufficientStock(res, { _id: productId, name: 'This product' }, available);
+            }
+
+            cart.items[itemIndex].productId = line.product._id;
+            cart.items[itemIndex].quantity = quantity;
+            cart.items[itemIndex].reservedUntil = reservationExpiry();
         }
 
-        // Populate product details for response
-        const populatedItems = cart.items.map(item => ({
-            ...item,
-            productId: {
-                ...products.find(p => p.id === item.productId || p._id === item.productId),
-                _id: item.productId
-            }
-        }));
+        const updatedCart = carts.update(cart.id, { items: cart.items });
 
-        res.json({ ...cart, items: populatedItems });
+        // Populate product details for response
+        res.json(populateCart(updatedCart, req.pricing));
     } catch (error) {
         console.error('Update cart error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.delete('/api/cart/remove/:productId', authenticateToken, async (req, res) => {
+// Products with variants pass the variant as ?sku=
+app.delete('/api/cart/remove/:productId', resolveCurrency, resolveCartOwner, async (req, res) => {
     try {
         const { productId } = req.params;
+        const sku = req.query.sku ? normalizeSku(req.query.sku) : null;
 
-        let cart = carts.find(c => c.userId === req.user.id);
+        const cart = findCart(req.cartOwner);
 
         if (!cart) {
             return res.status(404).json({ error: 'Cart not found' });
         }
 
-        cart.items = cart.items.filter(item => item.productId !== productId);
+        const updatedCart = carts.update(cart.id, {
+            items: cart.items.filter(item => !isSameLine(item, productId, sku))
+        });
 
         // Populate product details for response
-        const populatedItems = cart.items.map(item => ({
-            ...item,
-            productId: {
-                ...products.find(p => p.id === item.productId || p._id === item.productId),
-                _id: item.productId
+        res.json(populateCart(updatedCart, req.pricing));
+    } catch (error) {
+        console.error('Remove from cart error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/cart/clear', resolveCurrency, resolveCartOwner, async (req, res) => {
+    try {
+        const cart = getOrCreateCart(req.cartOwner);
+
+        res.json(populateCart(carts.update(cart.id, { items: [], couponCode: null }), req.pricing));
+    } catch (error) {
+        console.error('Clear cart error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.put('/api/cart/region', resolveCurrency, resolveCartOwner, validateBody(schemas.cartRegionSchema), async (req, res) => {
+    try {
+        const { region } = req.body;
+
+        if (!pricingConfig.regions[region]) {
+            return res.status(400).json({ error: 'We do not ship to that region yet', code: 'UNKNOWN_REGION' });
+        }
+
+        const cart = getOrCreateCart(req.cartOwner);
+
+        res.json(populateCart(carts.update(cart.id, { region }), req.pricing));
+    } catch (error) {
+        console.error('Set cart region error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/pricing/regions', async (req, res) => {
+    try {
+        const regions = Object.entries(pricingConfig.regions).map(([code, region]) => ({
+            code,
+            name: region.name,
+            taxRate: region.taxRate
+        }));
+
+        res.json({ defaultRegion: pricingConfig.defaultRegion, regions });
+    } catch (error) {
+        console.error('Get regions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/cart/coupon', resolveCurrency, resolveCartOwner, validateBody(schemas.couponCodeSchema), async (req, res) => {
+    try {
+        const code = normalizeCode(req.body.code);
+        const cart = getOrCreateCart(req.cartOwner);
+
+        if (cart.items.length === 0) {
+            return res.status(400).json({ error: 'Add something to your cart before using a coupon', code: 'CART_EMPTY' });
+        }
+
+        const result = applyCoupon(coupons.find(c => c.code === code), toCartLines(cart.items));
+
+        if (!result.valid) {
+            return res.status(400).json({ error: result.error, code: result.code });
+        }
+
+        res.json(populateCart(carts.update(cart.id, { couponCode: code }), req.pricing));
+    } catch (error) {
+        console.error('Apply coupon error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/cart/coupon', resolveCurrency, resolveCartOwner, async (req, res) => {
+    try {
+        const cart = getOrCreateCart(req.cartOwner);
+
+        res.json(populateCart(carts.update(cart.id, { couponCode: null }), req.pricing));
+    } catch (error) {
+        console.error('Remove coupon error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Coupon Routes (admin)
+app.get('/api/admin/coupons', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        res.json(coupons.all());
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/admin/coupons', authenticateToken, requireAdmin, validateBody(schemas.couponSchema), async (req, res) => {
+    try {
+        const validationError = validateCouponData(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const coupon = buildCoupon(req.body);
+        if (coupons.find(c => c.code === coupon.code)) {
+            return res.status(400).json({ error: 'A coupon with this code already exists' });
+        }
+
+        const created = db.transaction(() => {
+            const saved = coupons.insert(coupon);
+            audit(req.user, 'coupon.create', couponEntity(saved), null, saved);
+            return saved;
+        });
+        res.status(201).json(created);
+    } catch (error) {
+        console.error('Create coupon error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.put('/api/admin/coupons/:id', authenticateToken, requireAdmin, validateBody(schemas.couponSchema, { partial: true }), async (req, res) => {
+    try {
+        const existing = coupons.findById(Number(req.params.id));
+        if (!existing) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        const data = { ...existing, ...req.body };
+        const validationError = validateCouponData(data);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const coupon = buildCoupon(data, existing.usedCount);
+        if (coupons.find(c => c.code === coupon.code && c.id !== existing.id)) {
+            return res.status(400).json({ error: 'A coupon with this code already exists' });
+        }
+
+        const updated = db.transaction(() => {
+            const saved = coupons.update(existing.id, coupon);
+            audit(req.user, 'coupon.update', couponEntity(saved), existing, saved);
+            return saved;
+        });
+        res.json(updated);
+    } catch (error) {
+        console.error('Update coupon error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/admin/coupons/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const coupon = coupons.findById(Number(req.params.id));
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        db.transaction(() => {
+            coupons.remove(coupon.id);
+            audit(req.user, 'coupon.delete', couponEntity(coupon), coupon, null);
+        });
+
+        res.json({ message: 'Coupon deleted successfully' });
+    } catch (error) {
+        console.error('Delete coupon error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Dashboard numbers for the whole catalog and every cart (admin)
+app.get('/api/admin/stats', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        res.json({ currency: BASE_CURRENCY, ...buildAdminStats({ products: products.all(), carts: carts.all(), cartLines: toCartLines }) });
+    } catch (error) {
+        console.error('Get admin stats error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Audit log (admin)
+// Filters: entity (product, coupon, review, user), entityId, actor (user id or email),
+// action, from and to (ISO dates), plus page and limit
+app.get('/api/admin/audit', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { entity, entityId, actor, action, from, to, page, limit } = req.query;
+        if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+            return res.status(400).json({ error: 'from and to must be dates', code: 'VALIDATION_ERROR' });
+        }
+
+        res.json(auditLog.query({ entityType: entity, entityId, actor, action, from, to, page, limit }));
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Order Routes
+app.post('/api/orders', authenticateToken, requireVerifiedEmail, async (req, res) => {
+    try {
+        const cart = findCart({ userId: req.user.id });
+
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({ error: 'Cart is empty' });
+        }
+
+        // Lines for the same product and SKU are added up, so together they can't order
+        // more than is in stock
+        const grouped = new Map();
+        for (const item of cart.items) {
+            const line = findCartLine(item.productId, item.sku);
+            if (!line) {
+                return res.status(400).json({ error: 'A product in your cart is no longer available', productId: item.productId, sku: item.sku || null });
+            }
+            const key = `${line.product._id}:${line.variant ? line.variant.sku : ''}`;
+            const group = grouped.get(key) || { ...line, quantity: 0, items: [] };
+            group.quantity += item.quantity;
+            group.items.push(item);
+            grouped.set(key, group);
+        }
+
+        // Check every line before touching stock so a failed order changes nothing
+        const lines = [];
+        for (const { items: groupItems, ...line } of grouped.values()) {
+            const available = getAvailableStock(line.product, cart, line.variant, groupItems);
+            if (available < line.quantity) {
+                return insufficientStock(res, line.product, available, line.variant);
             }
+            lines.push(line);
+        }
+
+        // A coupon that stopped being valid since it was applied blocks checkout
+        const summary = buildCartSummary(cart);
+        if (summary.coupon && summary.coupon.error) {
+            return res.status(409).json({ error: summary.coupon.error, code: summary.coupon.errorCode });
+        }
+
+        const items = lines.map(({ product, variant, quantity }) => ({
+            productId: product._id,
+            sku: variant ? variant.sku : null,
+            name: product.name,
+            variantName: variant ? describeVariant(variant) : null,
+            image: product.image,
+            price: unitPrice(product, variant),
+            quantity,
+            lineTotal: roundMoney(unitPrice(product, variant) * quantity)
         }));
 
-        res.json({ ...cart, items: populatedItems });
+        // Stock, order and cart are written together or not at all
+        const { order, shortfall } = db.transaction(() => {
+            // Stock is read again here; if it no longer covers the order nothing is written
+            for (const { product, variant, quantity } of lines) {
+                const current = products.findById(product.id);
+                const currentVariant = variant ? current.variants.find(v => v.sku === variant.sku) : null;
+                const stock = variant ? (currentVariant ? currentVariant.stock : 0) : current.stock;
+                if (stock < quantity) {
+                    return { shortfall: { product: current, variant: currentVariant, available: Math.max(0, stock) } };
+                }
+            }
+
+            lines.forEach(({ product, variant, quantity }) => {
+                // Re-read so several variants of one product in the same order all count
+                const current = products.findById(product.id);
+                if (variant) {
+                    products.update(current.id, withVariantStock({
+                        ...current,
+                        variants: current.variants.map(v => v.sku === variant.sku ? { ...v, stock: v.stock - quantity } : v)
+                    }));
+                } else {
+                    products.update(current.id, { stock: current.stock - quantity });
+                }
+            });
+            carts.update(cart.id, { items: [], couponCode: null });
+
+            if (summary.coupon) {
+                const coupon = coupons.find(c => c.code === summary.coupon.code);
+                coupons.update(coupon.id, { usedCount: coupon.usedCount + 1 });
+            }
+
+            return { order: orders.insert({
+                userId: req.user.id,
+                // Orders are charged in the base currency, whatever the cart was shown in
+                currency: BASE_CURRENCY,
+                items,
+                subtotal: summary.subtotal,
+                couponCode: summary.coupon ? summary.coupon.code : null,
+                discount: summary.discount,
+                region: summary.region,
+                shipping: summary.shipping,
+                taxRate: summary.taxRate,
+                tax: summary.tax,
+                total: summary.total,
+                status: 'placed',
+                createdAt: new Date()
+            }) };
+        });
+
+        if (shortfall) {
+            return insufficientStock(res, shortfall.product, shortfall.available, shortfall.variant);
+        }
+
+        // Other shoppers see the new stock levels straight away
+        new Set(lines.map(({ product }) => product.id)).forEach(id => {
+            liveUpdates.publish('stock.changed', stockEvent(products.findById(id)));
+        });
+        res.status(201).json(order);
     } catch (error) {
-        console.error('Remove from cart error:', error);
+        console.error('Create order error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.delete('/api/cart/clear', authenticateToken, async (req, res) => {
+app.get('/api/orders', authenticateToken, async (req, res) => {
     try {
-        let cart = carts.find(c => c.userId === req.user.id);
+        const userOrders = orders
+            .filter(o => o.userId === req.user.id)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-        if (!cart) {
-            cart = { userId: req.user.id, items: [] };
-            carts.push(cart);
-        } else {
-            cart.items = [];
+        res.json(userOrders);
+    } catch (error) {
+        console.error('Get orders error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/orders/:id', authenticateToken, async (req, res) => {
+    try {
+        const order = orders.findById(Number(req.params.id));
+
+        // Customers only see their own orders; admins can look up any of them
+        if (!order || (order.userId !== req.user.id && req.user.role !== 'admin')) {
+            return res.status(404).json({ error: 'Order not found' });
         }
 
-        res.json(cart);
+        res.json(order);
     } catch (error) {
-        console.error('Clear cart error:', error);
+        console.error('Get order error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
@@ -622,7 +2179,7 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log('Backend ready - using in-memory storage');
+    console.log(`Backend ready - using ${process.env.STORAGE_DRIVER || 'json'} storage`);
 });
 
 module.exports = app;
@@ -0,0 +1,80 @@
+// Admin dashboard statistics
+// Worked out over the whole catalog and every cart, not just what one page of the
+// storefront has loaded. Stock is counted per thing a shopper can buy: a product
+// without variants is one item, a product with variants is one item per variant.
+
+const { hasVariants, unitPrice, describeVariant } = require('./variants');
+const { roundMoney } = require('./currency');
+
+const LOW_STOCK_THRESHOLD = 5;
+const RUNNING_LOW_LIMIT = 10;
+
+// Everything a shopper can buy, with its own stock and price
+const sellableItems = (product) => hasVariants(product)
+    ? product.variants.map(variant => ({
+        product,
+        sku: variant.sku,
+        name: `${product.name} (${describeVariant(variant)})`,
+        stock: variant.stock,
+        price: unitPrice(product, variant)
+    }))
+    : [{ product, sku: product.sku || null, name: product.name, stock: product.stock, price: product.price }];
+
+// `cartLines` turns a cart's items into [{ product, variant, quantity }], skipping
+// anything no longer on sale
+const buildAdminStats = ({ products, carts, cartLines, lowStockThreshold = LOW_STOCK_THRESHOLD }) => {
+    const items = products.flatMap(sellableItems);
+    const categories = new Map();
+
+    items.forEach(item => {
+        const name = item.product.category;
+        const category = categories.get(name) || { name, products: new Set(), units: 0, inventoryValue: 0 };
+        category.products.add(item.product.id);
+        category.units += item.stock;
+        category.inventoryValue += item.price * item.stock;
+        categories.set(name, category);
+    });
+
+    const lowStock = items.filter(item => item.stock > 0 && item.stock <= lowStockThreshold);
+    const outOfStock = items.filter(item => item.stock === 0);
+
+    const activeCarts = carts.map(cart => cartLines(cart.items)).filter(lines => lines.length > 0);
+    const cartedLines = activeCarts.flat();
+
+    return {
+        catalog: {
+            products: products.length,
+            categories: categories.size,
+            units: items.reduce((sum, item) => sum + item.stock, 0),
+            inventoryValue: roundMoney(items.reduce((sum, item) => sum + item.price * item.stock, 0))
+        },
+        stock: {
+            lowStockThreshold,
+            items: items.length,
+            inStock: items.length - lowStock.length - outOfStock.length,
+            lowStock: lowStock.length,
+            outOfStock: outOfStock.length,
+            // Lowest first, so the most urgent restocks are at the top
+            runningLow: [...outOfStock, ...lowStock]
+                .sort((a, b) => a.stock - b.stock)
+                .slice(0, RUNNING_LOW_LIMIT)
+                .map(item => ({ productId: item.product._id, sku: item.sku, name: item.name, stock: item.stock }))
+        },
+        categories: [...categories.values()]
+            .map(category => ({
+                name: category.name,
+                products: category.products.size,
+                units: category.units,
+                inventoryValue: roundMoney(category.inventoryValue)
+            }))
+            .sort((a, b) => b.inventoryValue - a.inventoryValue),
+        carts: {
+            active: activeCarts.length,
+            lines: cartedLines.length,
+            units: cartedLines.reduce((sum, line) => sum + line.quantity, 0),
+            value: roundMoney(cartedLines.reduce((sum, line) => sum + unitPrice(line.product, line.variant) * line.quantity, 0))
+        }
+    };
+};
+
+module.exports = { LOW_STOCK_THRESHOLD, buildAdminStats };
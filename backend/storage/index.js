@@ -0,0 +1,19 @@
+// Storage layer
+// STORAGE_DRIVER picks the adapter: "json" (default) or "memory" for tests
+
+const path = require('path');
+const { MemoryStore } = require('./memory-store');
+const { JsonFileStore } = require('./json-file-store');
+
+const createStore = (driver = process.env.STORAGE_DRIVER || 'json') => {
+    switch (driver) {
+        case 'memory':
+            return new MemoryStore();
+        case 'json':
+            return new JsonFileStore(process.env.STORAGE_FILE || path.join(__dirname, '..', 'data', 'techmart.json'));
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+};
+
+module.exports = { createStore, MemoryStore, JsonFileStore };
@@ -0,0 +1,30 @@
+// JSON file storage adapter
+// Same behaviour as the memory adapter, but every write is saved to disk
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('./memory-store');
+
+class JsonFileStore extends MemoryStore {
+    constructor(filePath) {
+        super(JsonFileStore.load(filePath));
+        this.filePath = filePath;
+    }
+
+    static load(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    // Write to a temp file first so a crash mid-write can't corrupt the data file
+    persist() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+module.exports = { JsonFileStore };
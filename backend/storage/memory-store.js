@@ -0,0 +1,124 @@
+// In-memory storage adapter
+// Keeps everything in a plain object - handy for tests, gone on restart
+
+// Deep copy so callers can't change stored data without going through the store
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+class Collection {
+    constructor(store, name) {
+        this.store = store;
+        this.name = name;
+    }
+
+    get docs() {
+        return this.store.data.collections[this.name];
+    }
+
+    all() {
+        return clone(this.docs);
+    }
+
+    find(predicate) {
+        return clone(this.docs.find(predicate));
+    }
+
+    filter(predicate) {
+        return clone(this.docs.filter(predicate));
+    }
+
+    findById(id) {
+        return this.find(doc => doc.id === id);
+    }
+
+    count(predicate = () => true) {
+        return this.docs.filter(predicate).length;
+    }
+
+    insert(doc) {
+        const { id = this.store.nextId(this.name), ...fields } = clone(doc);
+        const stored = { id, ...fields };
+        this.docs.push(stored);
+        this.store.changed();
+        return clone(stored);
+    }
+
+    update(id, changes) {
+        const index = this.docs.findIndex(doc => doc.id === id);
+        if (index === -1) return null;
+
+        this.docs[index] = { ...this.docs[index], ...clone(changes), id };
+        this.store.changed();
+        return clone(this.docs[index]);
+    }
+
+    remove(id) {
+        const index = this.docs.findIndex(doc => doc.id === id);
+        if (index === -1) return false;
+
+        this.docs.splice(index, 1);
+        this.store.changed();
+        return true;
+    }
+}
+
+class MemoryStore {
+    constructor(data = {}) {
+        this.data = {
+            sequences: data.sequences || {},
+            collections: data.collections || {}
+        };
+        this.transactionDepth = 0;
+        this.collectionCache = {};
+    }
+
+    collection(name) {
+        if (!this.data.collections[name]) {
+            this.data.collections[name] = [];
+        }
+        if (!this.collectionCache[name]) {
+            this.collectionCache[name] = new Collection(this, name);
+        }
+        return this.collectionCache[name];
+    }
+
+    // Ids come from a stored counter so they are never reused, even after deletes
+    nextId(name) {
+        if (this.data.sequences[name] === undefined) {
+            const docs = this.data.collections[name] || [];
+            this.data.sequences[name] = docs.reduce((max, doc) => Math.max(max, Number(doc.id) || 0), 0);
+        }
+        this.data.sequences[name] += 1;
+        return this.data.sequences[name];
+    }
+
+    // Runs fn as one unit: if it throws, every write it made is rolled back.
+    // fn must be synchronous so nothing else can interleave with it.
+    transaction(fn) {
+        const snapshot = JSON.stringify(this.data);
+        this.transactionDepth++;
+
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            this.data = JSON.parse(snapshot);
+            throw error;
+        } finally {
+            this.transactionDepth--;
+        }
+
+        this.changed();
+        return result;
+    }
+
+    changed() {
+        if (this.transactionDepth === 0) {
+            this.persist();
+        }
+    }
+
+    // Nothing to save for the memory adapter
+    persist() {}
+}
+
+module.exports = { MemoryStore, Collection };
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, CUSTOMER } = require('./server');
+
+describe('refresh tokens', () => {
+    let server;
+
+    const refresh = (refreshToken) => server.request('POST', '/auth/refresh', { body: { refreshToken } });
+    const me = (token) => server.request('GET', '/auth/me', { token });
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.stop());
+
+    it('swaps a refresh token for a new pair', async () => {
+        const session = await server.login(CUSTOMER.email, CUSTOMER.password);
+
+        const { status, body } = await refresh(session.refreshToken);
+        assert.equal(status, 200);
+        assert.notEqual(body.refreshToken, session.refreshToken);
+        assert.equal((await me(body.token)).status, 200);
+    });
+
+    it('ends the session when a rotated refresh token is used again', async () => {
+        const session = await server.login(CUSTOMER.email, CUSTOMER.password);
+        const rotated = (await refresh(session.refreshToken)).body;
+
+        const replay = await refresh(session.refreshToken);
+        assert.equal(replay.status, 401);
+        assert.equal(replay.body.code, 'REFRESH_TOKEN_REUSED');
+
+        // Neither the new refresh token nor the new access token work any more
+        assert.equal((await refresh(rotated.refreshToken)).body.code, 'INVALID_REFRESH_TOKEN');
+        assert.equal((await me(rotated.token)).body.code, 'TOKEN_REVOKED');
+    });
+
+    it('revokes the session on logout', async () => {
+        const session = await server.login(CUSTOMER.email, CUSTOMER.password);
+
+        const logout = await server.request('POST', '/auth/logout', {
+            token: session.token,
+            body: { refreshToken: session.refreshToken }
+        });
+        assert.equal(logout.status, 200);
+
+        assert.equal((await refresh(session.refreshToken)).body.code, 'INVALID_REFRESH_TOKEN');
+        assert.equal((await me(session.token)).body.code, 'TOKEN_REVOKED');
+    });
+
+    it('leaves other sessions signed in', async () => {
+        const first = await server.login(CUSTOMER.email, CUSTOMER.password);
+        const second = await server.login(CUSTOMER.email, CUSTOMER.password);
+
+        await server.request('POST', '/auth/logout', { token: first.token, body: { refreshToken: first.refreshToken } });
+
+        assert.equal((await me(second.token)).status, 200);
+        assert.equal((await refresh(second.refreshToken)).status, 200);
+    });
+});
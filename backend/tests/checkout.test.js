@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN, CUSTOMER } = require('./server');
+
+// product2 is the sample headphones, stocked at 25 with no variants
+const PRODUCT = 'product2';
+
+describe('cart stock and checkout', () => {
+    let server;
+    let customer;
+    let admin;
+
+    const getProduct = async () => (await server.request('GET', `/products/${PRODUCT}`)).body;
+    const setStock = (stock) => server.request('PUT', '/products/2', { token: admin, body: { stock } });
+    const addToCart = (productId, quantity) => server.request('POST', '/cart/add', { token: customer, body: { productId, quantity } });
+
+    before(async () => {
+        server = await startServer();
+        customer = (await server.login(CUSTOMER.email, CUSTOMER.password)).token;
+        admin = (await server.login(ADMIN.email, ADMIN.password)).token;
+    });
+
+    after(() => server.stop());
+
+    it('keeps one cart line per product whichever id it was added with', async () => {
+        assert.equal((await addToCart(PRODUCT, 20)).status, 200);
+        assert.equal((await addToCart('2', 5)).status, 200);
+
+        const { status, body } = await addToCart('02', 1);
+        assert.equal(status, 409);
+        assert.equal(body.code, 'INSUFFICIENT_STOCK');
+        // How many the line can hold in all
+        assert.equal(body.available, 25);
+
+        const cart = (await server.request('GET', '/cart', { token: customer })).body;
+        assert.equal(cart.items.length, 1);
+        assert.equal(cart.items[0].productId._id, PRODUCT);
+        assert.equal(cart.items[0].quantity, 25);
+    });
+
+    it('refuses an order for more than is left and leaves stock alone', async () => {
+        await setStock(10);
+
+        const { status, body } = await server.request('POST', '/orders', { token: customer });
+        assert.equal(status, 409);
+        assert.equal(body.code, 'INSUFFICIENT_STOCK');
+        assert.equal(body.available, 10);
+        assert.equal((await getProduct()).stock, 10);
+    });
+
+    it('takes the ordered quantity from stock', async () => {
+        await setStock(25);
+        await server.request('PUT', '/cart/update', { token: customer, body: { productId: '2', quantity: 3 } });
+
+        const { status, body } = await server.request('POST', '/orders', { token: customer });
+        assert.equal(status, 201);
+        assert.deepEqual(body.items.map(item => [item.productId, item.quantity, item.price, item.lineTotal]), [[PRODUCT, 3, 199, 597]]);
+        assert.equal((await getProduct()).stock, 22);
+
+        const cart = (await server.request('GET', '/cart', { token: customer })).body;
+        assert.equal(cart.items.length, 0);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../storage');
+const {
+    toMinorUnits,
+    fromMinorUnits,
+    roundMoney,
+    convertAmount,
+    ProductCollection,
+    OrderCollection,
+    CouponCollection
+} = require('../currency');
+
+describe('minor units', () => {
+    it('uses each currency\'s own number of decimals', () => {
+        assert.equal(toMinorUnits(199.99, 'USD'), 19999);
+        assert.equal(toMinorUnits(1500, 'JPY'), 1500);
+        assert.equal(toMinorUnits(1.234, 'KWD'), 1234);
+        assert.equal(fromMinorUnits(19999, 'USD'), 199.99);
+        assert.equal(fromMinorUnits(1500, 'JPY'), 1500);
+    });
+
+    it('rounds to the minor unit of the currency', () => {
+        assert.equal(roundMoney(10.456, 'USD'), 10.46);
+        assert.equal(roundMoney(1499.5, 'JPY'), 1500);
+        assert.equal(roundMoney(1.2345, 'KWD'), 1.235);
+    });
+
+    it('converts base amounts into whole units of currencies without decimals', () => {
+        assert.equal(convertAmount(199.99, { currency: 'JPY', rate: 150 }), 29999);
+        assert.equal(convertAmount(null, { currency: 'JPY', rate: 150 }), null);
+    });
+});
+
+describe('stored amounts', () => {
+    const collections = () => {
+        const db = new MemoryStore();
+        return {
+            raw: (name) => db.collection(name),
+            products: new ProductCollection(db.collection('products')),
+            orders: new OrderCollection(db.collection('orders')),
+            coupons: new CouponCollection(db.collection('coupons'))
+        };
+    };
+
+    it('stores product and variant prices in minor units', () => {
+        const { raw, products } = collections();
+        const product = products.insert({ name: 'Tee', price: 35, variants: [{ sku: 'TEE-S', price: null }, { sku: 'TEE-XL', price: 38.5 }] });
+
+        const stored = raw('products').findById(product.id);
+        assert.equal(stored.priceMinor, 3500);
+        assert.deepEqual(stored.variants.map(v => v.priceMinor), [null, 3850]);
+        assert.equal(product.price, 35);
+        assert.deepEqual(product.variants.map(v => v.price), [null, 38.5]);
+    });
+
+    it('stores order totals and line amounts in minor units', () => {
+        const { raw, orders } = collections();
+        const order = orders.insert({
+            currency: 'USD',
+            items: [{ productId: 'product2', price: 199.99, quantity: 2, lineTotal: 399.98 }],
+            subtotal: 399.98,
+            discount: 20,
+            shipping: 0,
+            tax: 32.3,
+            total: 412.28
+        });
+
+        const stored = raw('orders').findById(order.id);
+        assert.equal(stored.totalMinor, 41228);
+        assert.equal(stored.taxMinor, 3230);
+        assert.deepEqual([stored.items[0].priceMinor, stored.items[0].lineTotalMinor], [19999, 39998]);
+        assert.equal(stored.total, undefined);
+        assert.equal(order.total, 412.28);
+        assert.equal(order.items[0].lineTotal, 399.98);
+    });
+
+    it('only stores a coupon value in minor units when it is an amount', () => {
+        const { raw, coupons } = collections();
+        const fixed = coupons.insert({ code: 'SAVE20', type: 'fixed', value: 20, minSubtotal: 100, usedCount: 0 });
+        const percentage = coupons.insert({ code: 'WELCOME10', type: 'percentage', value: 10, minSubtotal: 0, usedCount: 0 });
+
+        assert.equal(raw('coupons').findById(fixed.id).valueMinor, 2000);
+        assert.equal(raw('coupons').findById(fixed.id).minSubtotalMinor, 10000);
+        assert.equal(raw('coupons').findById(percentage.id).value, 10);
+        assert.equal(fixed.value, 20);
+        assert.equal(percentage.value, 10);
+    });
+
+    it('reads the right value after a coupon changes type', () => {
+        const { coupons } = collections();
+        const coupon = coupons.insert({ code: 'SWITCH', type: 'fixed', value: 20, minSubtotal: 0, usedCount: 0 });
+
+        assert.equal(coupons.update(coupon.id, { type: 'percentage', value: 15, minSubtotal: 0 }).value, 15);
+        assert.equal(coupons.update(coupon.id, { usedCount: 1 }).value, 15);
+        assert.equal(coupons.update(coupon.id, { type: 'fixed', value: 5, minSubtotal: 0 }).value, 5);
+    });
+
+    it('converts products saved before minor units, keeping their ids', () => {
+        const { raw, products } = collections();
+        raw('products').insert({ name: 'Headphones', price: 199.99 });
+
+        assert.equal(products.findById(1).price, 199.99);
+
+        assert.equal(products.migrateLegacyAmounts(), 1);
+        const stored = raw('products').findById(1);
+        assert.equal(stored.priceMinor, 19999);
+        assert.equal(stored.currency, 'USD');
+        assert.equal(products.findById(1).price, 199.99);
+        assert.equal(products.migrateLegacyAmounts(), 0);
+    });
+
+    it('converts orders saved before minor units, keeping their ids', () => {
+        const { raw, orders } = collections();
+        raw('orders').insert({ items: [{ productId: 'product2', price: 199, quantity: 1, lineTotal: 199 }], subtotal: 199, discount: 0, shipping: 0, tax: 16.92, total: 215.92 });
+
+        const legacy = orders.findById(1);
+        assert.equal(legacy.total, 215.92);
+
+        assert.equal(orders.migrateLegacyAmounts(), 1);
+        const stored = raw('orders').findById(1);
+        assert.equal(stored.totalMinor, 21592);
+        assert.equal(stored.currency, 'USD');
+        assert.deepEqual(orders.findById(1), { ...legacy, currency: 'USD' });
+        assert.equal(orders.migrateLegacyAmounts(), 0);
+    });
+});
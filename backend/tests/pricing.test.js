@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_PRICING_CONFIG, loadPricingConfig, priceCart } = require('../pricing');
+const { applyCoupon } = require('../coupons');
+
+const line = (price, quantity = 1, extra = {}) => ({ product: { price, category: 'Electronics', ...extra }, quantity });
+
+describe('priceCart', () => {
+    it('reads shipping amounts from the config in minor units', () => {
+        const summary = priceCart([line(35)], { regionCode: 'US-OR' });
+        assert.equal(summary.shipping, 9.99);
+        assert.equal(summary.freeShippingOver, 100);
+        assert.equal(summary.total, 44.99);
+    });
+
+    it('ships free from the threshold', () => {
+        assert.equal(priceCart([line(100)], { regionCode: 'US-OR' }).shipping, 0);
+    });
+
+    it('charges weight-based shipping in whole minor units', () => {
+        // 14.99 + 3 x 0.3kg x 2.50
+        const summary = priceCart([line(35, 3, { weight: 0.3 })], { regionCode: 'CA-ON' });
+        assert.equal(summary.shipping, 17.24);
+    });
+
+    it('rounds tax and totals to cents', () => {
+        const summary = priceCart([line(19.99, 3)], { regionCode: 'US-CA' });
+        assert.equal(summary.subtotal, 59.97);
+        assert.equal(summary.tax, 5.1);
+        assert.equal(summary.total, 75.06);
+    });
+
+    it('takes the coupon discount off before tax', () => {
+        const lines = [line(199)];
+        const couponResult = applyCoupon({ code: 'SAVE20', type: 'fixed', value: 20, minSubtotal: 100, active: true, usedCount: 0 }, lines);
+        const summary = priceCart(lines, { regionCode: 'US-CA', couponResult, config: DEFAULT_PRICING_CONFIG });
+
+        assert.equal(summary.discount, 20);
+        assert.equal(summary.tax, 15.22);
+        assert.equal(summary.total, 194.22);
+    });
+});
+
+describe('loadPricingConfig', () => {
+    const loadFile = (config) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+        const file = path.join(dir, 'pricing.json');
+        fs.writeFileSync(file, JSON.stringify(config));
+        try {
+            return loadPricingConfig(file);
+        } finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    };
+
+    it('converts shipping amounts from files written in major units', () => {
+        const config = loadFile({
+            shipping: { type: 'flat', amount: 5.99, freeOver: 50 },
+            regions: { 'US-OR': { name: 'Oregon', taxRate: 0, shipping: { type: 'weight', baseRate: 4, ratePerKg: 1.5 } } }
+        });
+
+        assert.deepEqual(config.shipping, { type: 'flat', amountMinor: 599, freeOverMinor: 5000 });
+        assert.deepEqual(config.regions['US-OR'].shipping, { type: 'weight', baseRateMinor: 400, ratePerKgMinor: 150 });
+        // 4.00 + 0.5kg x 1.50
+        assert.equal(priceCart([line(35)], { regionCode: 'US-OR', config }).shipping, 4.75);
+    });
+
+    it('keeps minor-unit amounts as they are', () => {
+        const config = loadFile({ shipping: { type: 'flat', amountMinor: 599 } });
+        assert.deepEqual(config.shipping, { type: 'flat', amountMinor: 599 });
+        assert.deepEqual(config.regions, DEFAULT_PRICING_CONFIG.regions);
+    });
+});
@@ -0,0 +1,80 @@
+// Test server
+// Starts server-test.js in its own process on a free port with throwaway in-memory
+// data, so tests go through HTTP just like the storefront does.
+
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const START_TIMEOUT_MS = 20000;
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+// Resolves with { url, request, login, stop } once the server is listening
+const startServer = async () => {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server-test.js')], {
+        env: { ...process.env, PORT: String(port), STORAGE_DRIVER: 'memory', MAIL_TRANSPORT: 'memory' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), START_TIMEOUT_MS);
+        const onData = (chunk) => {
+            output += chunk;
+            if (output.includes('Server running on port')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const url = `http://localhost:${port}/api`;
+
+    // Responds with { status, body }; `token` is sent as a bearer token
+    const request = async (method, endpoint, { token, body } = {}) => {
+        const response = await fetch(`${url}${endpoint}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const login = async (email, password) => {
+        const { status, body } = await request('POST', '/auth/login', { body: { email, password } });
+        if (status !== 200) throw new Error(`Login as ${email} failed: ${body.error}`);
+        return body;
+    };
+
+    const stop = () => new Promise(resolve => {
+        child.removeAllListeners('exit');
+        child.on('exit', resolve);
+        child.kill();
+    });
+
+    return { url, request, login, stop };
+};
+
+// Accounts created with the sample data
+const ADMIN = { email: 'admin@ecommerce.com', password: 'admin123' };
+const CUSTOMER = { email: 'user@example.com', password: 'password123' };
+
+module.exports = { startServer, ADMIN, CUSTOMER };
@@ -0,0 +1,151 @@
+// Request body validation
+// A schema maps each allowed field to a rule, e.g.
+//   { price: { type: 'number', required: true, min: 0 }, id: { immutable: true } }
+// Values are coerced to the rule's type ("12.5" -> 12.5). Fields that aren't in the
+// schema, or are marked immutable, are rejected. Every failing field is reported.
+//
+// Rule options: type (string, number, integer, boolean, id, date, array, object),
+// required, nullable, default, min, max, minLength, maxLength, pattern, message
+// (used when pattern fails), enum, items (rule for array entries), fields (schema
+// for object values), immutable.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const coerce = (rule, value, path, errors, partial) => {
+    const fail = (message) => {
+        errors.push({ field: path, message: `${path} ${message}` });
+        return undefined;
+    };
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value === 'number') value = String(value);
+            if (typeof value !== 'string') return fail('must be text');
+            value = value.trim();
+            if (rule.required && value === '') return fail('is required');
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return fail(`must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail(`must be ${rule.maxLength} characters or fewer`);
+            }
+            if (rule.pattern && !rule.pattern.test(value)) return fail(rule.message || 'is not in the right format');
+            if (rule.enum && !rule.enum.includes(value)) return fail(`must be one of ${rule.enum.join(', ')}`);
+            return value;
+        }
+        case 'number':
+        case 'integer': {
+            if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+            if (rule.type === 'integer' && !Number.isInteger(value)) return fail('must be a whole number');
+            if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+            if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+            return value;
+        }
+        case 'boolean': {
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            if (typeof value !== 'boolean') return fail('must be true or false');
+            return value;
+        }
+        // Ids arrive as numbers or "productN" strings; keep them as strings
+        case 'id': {
+            if (typeof value !== 'string' && typeof value !== 'number') return fail('must be an id');
+            value = String(value).trim();
+            if (value === '') return fail('is required');
+            return value;
+        }
+        case 'date': {
+            const date = new Date(value);
+            if (typeof value !== 'string' || isNaN(date)) return fail('must be a date');
+            return date.toISOString();
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return fail('must be a list');
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail(`must have ${rule.maxLength} entries or fewer`);
+            }
+            return rule.items
+                ? value.map((item, index) => coerce(rule.items, item, `${path}[${index}]`, errors, false))
+                : value;
+        }
+        case 'object': {
+            if (!isPlainObject(value)) return fail('must be an object');
+            return rule.fields ? validateFields(rule.fields, value, `${path}.`, errors, partial) : value;
+        }
+        default:
+            throw new Error(`Unknown rule type "${rule.type}" for ${path}`);
+    }
+};
+
+const validateFields = (schema, input, prefix, errors, partial) => {
+    const value = {};
+
+    Object.keys(input).forEach(key => {
+        const rule = schema[key];
+        if (!rule) {
+            errors.push({ field: `${prefix}${key}`, message: `${prefix}${key} is not allowed` });
+        } else if (rule.immutable) {
+            errors.push({ field: `${prefix}${key}`, message: `${prefix}${key} cannot be changed` });
+        }
+    });
+
+    Object.entries(schema).forEach(([key, rule]) => {
+        if (rule.immutable) return;
+
+        const path = `${prefix}${key}`;
+        const raw = input[key];
+
+        if (raw === undefined || (raw === null && !rule.nullable)) {
+            if (partial) return;
+            if (rule.required) {
+                errors.push({ field: path, message: `${path} is required` });
+            } else if (rule.default !== undefined) {
+                value[key] = rule.default;
+            }
+            return;
+        }
+
+        if (raw === null) {
+            value[key] = null;
+            return;
+        }
+
+        const coerced = coerce(rule, raw, path, errors, partial);
+        if (coerced !== undefined) {
+            value[key] = coerced;
+        }
+    });
+
+    return value;
+};
+
+// partial: true skips required/default checks (for updates that send only changed fields)
+const validate = (schema, input, { partial = false } = {}) => {
+    const errors = [];
+
+    if (!isPlainObject(input)) {
+        return { value: null, errors: [{ field: '', message: 'Request body must be a JSON object' }] };
+    }
+
+    const value = validateFields(schema, input, '', errors, partial);
+    return { value, errors };
+};
+
+// Express middleware: replaces req.body with the coerced value or answers 400
+const validateBody = (schema, options) => (req, res, next) => {
+    const { value, errors } = validate(schema, req.body || {}, options);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: errors.map(e => e.message).join('; '),
+            code: 'VALIDATION_ERROR',
+            fields: errors
+        });
+    }
+
+    req.body = value;
+    next();
+};
+
+module.exports = { validate, validateBody };
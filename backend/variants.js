@@ -0,0 +1,97 @@
+// Product variants
+// A product can list options (e.g. Size: S, M, L) and a variant for each combination it
+// sells. Every variant has its own SKU and stock and may override the product price.
+// Products without variants are sold as a single item, as before.
+
+const SKU_PATTERN = /^[A-Z0-9_-]+$/;
+
+const normalizeSku = (sku) => String(sku || '').trim().toUpperCase();
+
+const hasVariants = (product) => Array.isArray(product.variants) && product.variants.length > 0;
+
+const findVariant = (product, sku) => {
+    if (!hasVariants(product) || !sku) return null;
+    return product.variants.find(v => v.sku === normalizeSku(sku)) || null;
+};
+
+// Price of one unit, using the variant's override when it has one
+const unitPrice = (product, variant) => {
+    return variant && variant.price !== null && variant.price !== undefined ? variant.price : product.price;
+};
+
+// "Size: M, Color: Black"
+const describeVariant = (variant) => {
+    if (!variant) return '';
+    return Object.entries(variant.options).map(([name, value]) => `${name}: ${value}`).join(', ');
+};
+
+// Products with variants keep `stock` as the total across them so listings and
+// the admin table stay meaningful
+const withVariantStock = (product) => {
+    if (!hasVariants(product)) return product;
+    return { ...product, stock: product.variants.reduce((sum, v) => sum + v.stock, 0) };
+};
+
+const normalizeVariants = (variants = []) => variants.map(variant => ({
+    ...variant,
+    sku: normalizeSku(variant.sku),
+    price: variant.price ?? null
+}));
+
+// Rules across options and variants that the schema can't express.
+// Returns an error message, or null when the data is fine.
+const validateVariantData = (options = [], variants = []) => {
+    const names = options.map(option => option.name);
+    if (new Set(names).size !== names.length) {
+        return 'Option names must be unique';
+    }
+    for (const option of options) {
+        if (option.values.length === 0 || new Set(option.values).size !== option.values.length) {
+            return `${option.name} needs at least one value and no repeats`;
+        }
+    }
+
+    if (options.length > 0 && variants.length === 0) {
+        return 'Add at least one variant for these options';
+    }
+    if (variants.length > 0 && options.length === 0) {
+        return 'Variants need at least one option';
+    }
+
+    const skus = new Set();
+    const combinations = new Set();
+    for (const variant of variants) {
+        const sku = normalizeSku(variant.sku);
+        if (!SKU_PATTERN.test(sku)) {
+            return 'SKUs may only contain letters, numbers, - and _';
+        }
+        if (skus.has(sku)) {
+            return `SKU ${sku} is used more than once`;
+        }
+        skus.add(sku);
+
+        const keys = Object.keys(variant.options);
+        if (keys.length !== options.length || options.some(option => !option.values.includes(variant.options[option.name]))) {
+            return `Variant ${sku} must pick one value for each option`;
+        }
+
+        const combination = options.map(option => variant.options[option.name]).join('|');
+        if (combinations.has(combination)) {
+            return `More than one variant is ${describeVariant(variant)}`;
+        }
+        combinations.add(combination);
+    }
+
+    return null;
+};
+
+module.exports = {
+    normalizeSku,
+    hasVariants,
+    findVariant,
+    unitPrice,
+    describeVariant,
+    withVariantStock,
+    normalizeVariants,
+    validateVariantData
+};
@@ -0,0 +1,85 @@
+// TechMart translations
+// UI text is looked up by key in a message catalog, one per language in locales/.
+// Catalogs register themselves with defineMessages(), and the language can be switched
+// while the app is running: setActiveLocale() changes it and translatePage() refreshes
+// the static text; anything drawn from templates is redrawn by the app. Keys missing
+// from a catalog fall back to English.
+//
+// Messages can take parameters - t('cart.added', { name }) fills in {name} - and text
+// that depends on a number is an object keyed by plural category, picked by params.count:
+//   { one: '{count} review', other: '{count} reviews' }
+//
+// Text in index.html is marked with the key to show instead:
+//   <h3 data-i18n="cart.summaryTitle">Order Summary</h3>
+//   <input data-i18n-placeholder="filters.searchPlaceholder">
+//   <select data-i18n-aria-label="nav.currency">
+
+const DEFAULT_LOCALE = 'en';
+
+const catalogs = {}; // locale -> { name, messages }
+let activeLocale = DEFAULT_LOCALE;
+
+// `name` is the language's own name for itself, as shown in the language menu
+const defineMessages = (locale, name, messages) => {
+    catalogs[locale] = { name, messages };
+};
+
+const availableLocales = () => Object.entries(catalogs).map(([code, { name }]) => ({ code, name }));
+
+const getActiveLocale = () => activeLocale;
+
+// The first of the browser's languages there's a catalog for: 'es-MX' -> 'es'
+const browserLocale = () => {
+    const languages = navigator.languages || [navigator.language];
+    for (const tag of languages.filter(Boolean)) {
+        const language = tag.toLowerCase().split('-')[0];
+        if (catalogs[tag]) return tag;
+        if (catalogs[language]) return language;
+    }
+    return DEFAULT_LOCALE;
+};
+
+const setActiveLocale = (locale) => {
+    activeLocale = catalogs[locale] ? locale : DEFAULT_LOCALE;
+    document.documentElement.lang = activeLocale;
+    return activeLocale;
+};
+
+const pluralRules = new Map();
+const pluralCategory = (count) => {
+    if (!pluralRules.has(activeLocale)) {
+        pluralRules.set(activeLocale, new Intl.PluralRules(activeLocale));
+    }
+    return pluralRules.get(activeLocale).select(count);
+};
+
+const lookup = (locale, key) => catalogs[locale] && catalogs[locale].messages[key];
+
+const t = (key, params = {}) => {
+    let message = lookup(activeLocale, key) ?? lookup(DEFAULT_LOCALE, key);
+    if (message === undefined) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+    if (typeof message === 'object') {
+        message = message[pluralCategory(params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+};
+
+// Dates in the active language, e.g. "3/14/2025" or "14/3/2025"
+const formatDate = (value) => new Date(value).toLocaleDateString(activeLocale);
+const formatDateTime = (value) => new Date(value).toLocaleString(activeLocale);
+
+// Fills in every marked element under `root`
+const translatePage = (root = document) => {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.getAttribute('data-i18n-placeholder'));
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.getAttribute('data-i18n-aria-label')));
+    });
+};
@@ -0,0 +1,383 @@
+// English - the default, and what other catalogs fall back to (see i18n.js)
+defineMessages('en', 'English', {
+    'meta.title': 'TechMart - Your One-Stop Tech Store',
+
+    'common.apply': 'Apply',
+    'common.cancel': 'Cancel',
+    'common.delete': 'Delete',
+    'common.edit': 'Edit',
+    'common.remove': 'Remove',
+    'common.shopNow': 'Shop Now',
+
+    'pagination.previous': 'Previous',
+    'pagination.next': 'Next',
+    'pagination.pageOf': 'Page {page} of {total}',
+
+    // Navigation
+    'nav.home': 'Home',
+    'nav.orders': 'My Orders',
+    'nav.admin': 'Admin',
+    'nav.language': 'Language',
+    'nav.currency': 'Currency',
+    'nav.login': 'Login',
+    'nav.signup': 'Sign Up',
+    'nav.logout': 'Logout',
+
+    'verify.banner': 'Please verify your email address - we sent a link to',
+    'verify.resend': 'Resend email',
+
+    // Home page
+    'filters.title': 'Filters',
+    'filters.clearAll': 'Clear All',
+    'filters.search': 'Search Products',
+    'filters.searchPlaceholder': 'Search products...',
+    'filters.categories': 'Categories',
+    'filters.priceRange': 'Price Range',
+    'filters.rating': 'Customer Rating',
+    'filters.anyRating': 'Any rating',
+    'filters.ratingAndUp': '{rating}★ & up',
+    'filters.availability': 'Availability',
+    'filters.inStockOnly': 'In stock only',
+    'filters.featuredOnly': 'Featured only',
+    'filters.products': { one: '{count} product', other: '{count} products' },
+
+    'sort.relevance': 'Best Match',
+    'sort.nameAsc': 'Name A-Z',
+    'sort.nameDesc': 'Name Z-A',
+    'sort.priceAsc': 'Price Low-High',
+    'sort.priceDesc': 'Price High-Low',
+    'sort.rating': 'Highest Rated',
+
+    'products.allTitle': 'All Products',
+    'products.loadFailed': 'Failed to load products',
+    'products.emptyTitle': 'No products found',
+    'products.emptyText': 'Try adjusting your filters or search terms.',
+    'products.featured': 'Featured',
+    'products.rating': { one: '{rating} ({count} review)', other: '{rating} ({count} reviews)' },
+    'products.noReviews': 'No reviews yet',
+    'products.addToCart': 'Add to Cart',
+    'products.combinationUnavailable': 'Not available in this combination',
+    'products.inStock': 'In stock',
+    'products.outOfStock': 'Out of stock',
+    'products.onlyLeft': 'Only {count} left',
+
+    // Product page
+    'product.back': '← Back to products',
+    'product.loading': 'Loading product...',
+    'product.notFoundTitle': 'Product not found',
+    'product.notFoundText': 'It may have been removed, or the link is wrong.',
+    'product.browse': 'Browse products',
+    'product.loadFailedTitle': "Couldn't load this product",
+    'product.tryAgain': 'Please try again in a moment.',
+    'product.quantity': 'Quantity',
+    'product.quantityInvalid': 'Please enter a quantity of 1 or more',
+    'product.customerReviews': 'Customer reviews',
+
+    // Sign in, sign up and passwords
+    'auth.loginTitle': 'Welcome Back',
+    'auth.loginSubtitle': 'Sign in to your account',
+    'auth.email': 'Email',
+    'auth.password': 'Password',
+    'auth.signIn': 'Sign In',
+    'auth.forgotLink': 'Forgot your password?',
+    'auth.noAccount': "Don't have an account?",
+    'auth.signUpLink': 'Sign up',
+    'auth.demoAccounts': 'Demo accounts:',
+    'auth.signupTitle': 'Create Account',
+    'auth.signupSubtitle': 'Join TechMart today',
+    'auth.firstName': 'First Name',
+    'auth.lastName': 'Last Name',
+    'auth.confirmPassword': 'Confirm Password',
+    'auth.haveAccount': 'Already have an account?',
+    'auth.signInLink': 'Sign in',
+    'auth.forgotTitle': 'Forgot Password',
+    'auth.forgotSubtitle': "We'll email you a link to reset it",
+    'auth.sendResetLink': 'Send Reset Link',
+    'auth.remembered': 'Remembered it?',
+    'auth.resetTitle': 'Choose a New Password',
+    'auth.resetSubtitle': "You'll be signed out on all devices",
+    'auth.newPassword': 'New Password',
+    'auth.resetPassword': 'Reset Password',
+    'auth.passwordMismatch': 'Passwords do not match',
+    'auth.sessionExpired': 'Your session has expired, please login again',
+    'auth.loginSuccess': 'Login successful!',
+    'auth.loginFailed': 'Login failed',
+    'auth.accountCreated': 'Account created! Check your email for a link to verify your address.',
+    'auth.registerFailed': 'Registration failed',
+    'auth.emailVerified': 'Thanks, your email is verified!',
+    'auth.verifyFailed': 'Failed to verify email',
+    'auth.verificationSent': 'Verification email sent to {email}',
+    'auth.verificationFailed': 'Failed to send verification email',
+    'auth.resetLinkSent': 'If an account exists for that email, a reset link is on its way',
+    'auth.resetLinkFailed': 'Failed to send reset link',
+    'auth.passwordUpdated': 'Password updated, you can now login',
+    'auth.resetFailed': 'Failed to reset password',
+    'auth.loggedOut': 'Logged out successfully',
+
+    // Cart
+    'cart.title': 'Shopping Cart',
+    'cart.summaryTitle': 'Order Summary',
+    'cart.shipTo': 'Ship to',
+    'cart.subtotal': 'Subtotal:',
+    'cart.discount': 'Discount',
+    'cart.shipping': 'Shipping:',
+    'cart.tax': 'Tax',
+    'cart.total': 'Total:',
+    'cart.free': 'Free',
+    'cart.freeShippingNote': 'Add {amount} more for free shipping',
+    'cart.couponPlaceholder': 'Coupon code',
+    'cart.couponFreeShipping': '{code}: free shipping',
+    'cart.couponAppliedLabel': '{code} applied',
+    'cart.checkout': 'Proceed to Checkout',
+    'cart.continueShopping': 'Continue Shopping',
+    'cart.emptyTitle': 'Your cart is empty',
+    'cart.emptyText': 'Add some products to get started!',
+    'cart.noMoreStock': 'No more in stock',
+    'cart.thisProduct': 'This product',
+    'cart.onlyLeftOf': 'Only {count} of {name} left in stock',
+    'cart.outOfStock': '{name} is out of stock',
+    'cart.added': '{name} added to cart!',
+    'cart.addFailed': 'Failed to add to cart',
+    'cart.removed': '{name} removed from cart',
+    'cart.removeFailed': 'Failed to remove from cart',
+    'cart.updateFailed': 'Failed to update quantity',
+    'cart.regionFailed': 'Failed to update shipping region',
+    'cart.couponApplied': 'Coupon {code} applied!',
+    'cart.couponFailed': 'Failed to apply coupon',
+    'cart.couponRemoveFailed': 'Failed to remove coupon',
+    'cart.loginToCheckout': 'Please login to proceed with checkout',
+    'cart.verifyToCheckout': 'Please verify your email address before checking out',
+    'cart.pendingNote': 'Totals will be updated once your changes reach the store',
+    'cart.priceChanged': 'Price changed from {from} to {to}',
+    'cart.priceChangedToast': 'The price of {name} in your cart is now {price}',
+
+    // Guest cart merged on sign in
+    'cartMerge.added': {
+        one: '{count} item from before you signed in was added to your cart',
+        other: '{count} items from before you signed in were added to your cart'
+    },
+    'cartMerge.limited': 'only {count} of {name} could be kept',
+    'cartMerge.dropped.UNAVAILABLE': '{name} is no longer available',
+    'cartMerge.dropped.OUT_OF_STOCK': '{name} is out of stock',
+    'cartMerge.notKept': "Some of your cart couldn't be kept: {notes}",
+
+    // Requests to the store
+    'api.failed': 'Something went wrong. Please try again.',
+    'api.timeout': 'The store is taking too long to answer. Please try again.',
+    'api.cancelled': 'Request cancelled',
+
+    // Offline
+    'offline.banner': "You're offline. Showing products from your last visit - cart changes will be sent when you're back online.",
+    'offline.unreachable': "Can't reach the store. Check your connection.",
+    'offline.productsNotUpdated': "You're offline, so the product list couldn't be updated",
+    'offline.cartQueued': "You're offline - {name} will be updated in your cart when you reconnect",
+    'offline.cartSynced': {
+        one: '{count} cart change made offline was saved',
+        other: '{count} cart changes made offline were saved'
+    },
+    'offline.cartConflicts': {
+        one: "A cart change made offline couldn't be saved: {notes}",
+        other: "{count} cart changes made offline couldn't be saved: {notes}"
+    },
+    'offline.conflict.add': 'adding {name} ({reason})',
+    'offline.conflict.update': 'changing the quantity of {name} ({reason})',
+    'offline.conflict.remove': 'removing {name} ({reason})',
+
+    // Orders
+    'orders.title': 'Order #{id}',
+    'orders.status.placed': 'placed',
+    'orders.discount': 'Discount ({code}):',
+    'orders.tax': 'Tax:',
+    'orders.emptyTitle': 'No orders yet',
+    'orders.emptyText': 'Orders you place will show up here.',
+    'orders.placed': 'Order #{id} placed successfully!',
+    'orders.placeFailed': 'Failed to place order',
+
+    // Reviews
+    'reviews.title': 'Reviews',
+    'reviews.titleFor': 'Reviews: {name}',
+    'reviews.summary': { one: '{rating} out of 5 from {count} review', other: '{rating} out of 5 from {count} reviews' },
+    'reviews.beFirst': 'No reviews yet - be the first!',
+    'reviews.yourRating': 'Your Rating',
+    'reviews.rating5': '★★★★★ - Excellent',
+    'reviews.rating4': '★★★★☆ - Good',
+    'reviews.rating3': '★★★☆☆ - Average',
+    'reviews.rating2': '★★☆☆☆ - Poor',
+    'reviews.rating1': '★☆☆☆☆ - Terrible',
+    'reviews.yourReview': 'Your Review',
+    'reviews.submit': 'Submit Review',
+    'reviews.loginToWrite': 'to write a review.',
+    'reviews.loadFailed': 'Failed to load reviews',
+    'reviews.thanks': 'Thanks for your review!',
+    'reviews.submitFailed': 'Failed to submit review',
+
+    // Admin dashboard
+    'admin.title': 'Admin Dashboard',
+    'admin.exportCsv': 'Export CSV',
+    'admin.exportJson': 'Export JSON',
+    'admin.addProduct': 'Add New Product',
+    'admin.tabs.catalog': 'Catalog',
+    'admin.tabs.activity': 'Activity',
+
+    'admin.table.id': 'ID',
+    'admin.table.name': 'Name',
+    'admin.table.category': 'Category',
+    'admin.table.price': 'Price',
+    'admin.table.stock': 'Stock',
+    'admin.table.status': 'Status',
+    'admin.table.actions': 'Actions',
+
+    'admin.stats.totalProducts': 'Total Products',
+    'admin.stats.inventoryValue': 'Total Inventory Value',
+    'admin.stats.lowOnStock': 'Low on Stock',
+    'admin.stats.outOfStockTitle': 'Out of Stock',
+    'admin.stats.activeCarts': 'Active Carts',
+    'admin.stats.itemsInCarts': 'Items in Carts',
+    'admin.stats.valueByCategory': 'Inventory Value by Category',
+    'admin.stats.stockHealth': 'Stock Health',
+    'admin.stats.runningLow': 'Running low',
+    'admin.stats.categoryProducts': { one: '{count} product', other: '{count} products' },
+    'admin.stats.categoryUnits': { one: '{count} unit', other: '{count} units' },
+    'admin.stats.noProducts': 'No products yet',
+    'admin.stats.inStock': 'In stock',
+    'admin.stats.low': 'Low ({count} or fewer)',
+    'admin.stats.outOfStock': 'Out of stock',
+    'admin.stats.out': 'Out',
+    'admin.stats.left': '{count} left',
+    'admin.stats.wellStocked': 'Everything is well stocked',
+
+    'admin.products.title': 'Manage Products',
+    'admin.products.added': 'Product added successfully!',
+    'admin.products.addFailed': 'Failed to add product',
+    'admin.products.updated': 'Product updated successfully!',
+    'admin.products.updateFailed': 'Failed to update product',
+    'admin.products.deleted': 'Product deleted successfully!',
+    'admin.products.deleteFailed': 'Failed to delete product',
+    'admin.products.loadFailed': 'Failed to load product',
+    'admin.products.confirmDelete': 'Are you sure you want to delete this product?',
+
+    'admin.productForm.addTitle': 'Add Product',
+    'admin.productForm.editTitle': 'Edit Product',
+    'admin.productForm.name': 'Product Name',
+    'admin.productForm.selectCategory': 'Select Category',
+    'admin.productForm.description': 'Description',
+    'admin.productForm.translation': 'In {language}',
+    'admin.productForm.stock': 'Stock Quantity',
+    'admin.productForm.sku': 'SKU',
+    'admin.productForm.optional': 'Optional',
+    'admin.productForm.options': 'Options',
+    'admin.productForm.optionsHelp': 'One option per line. Leave empty if the product comes in one version only.',
+    'admin.productForm.variants': 'Variants',
+    'admin.productForm.generateVariants': 'Generate from options',
+    'admin.productForm.noVariants': 'No variants - this product is sold as a single item.',
+    'admin.productForm.variant': 'Variant',
+    'admin.productForm.samePrice': 'Same',
+    'admin.productForm.images': 'Images',
+    'admin.productForm.upload': 'Upload',
+    'admin.productForm.save': 'Save Product',
+
+    'admin.images.saveFirst': 'Save the product first, then edit it to add images.',
+    'admin.images.primaryHelp': 'The first image is shown on product cards and in the cart.',
+    'admin.images.none': 'No images yet - the product icon is shown instead.',
+    'admin.images.primary': 'Primary',
+    'admin.images.moveEarlier': 'Move earlier',
+    'admin.images.moveLater': 'Move later',
+    'admin.images.remove': 'Remove image',
+    'admin.images.chooseFile': 'Choose an image to upload',
+    'admin.images.confirmRemove': 'Remove this image?',
+    'admin.images.uploaded': 'Image uploaded',
+    'admin.images.uploadFailed': 'Failed to upload image',
+    'admin.images.reorderFailed': 'Failed to reorder images',
+    'admin.images.removed': 'Image removed',
+    'admin.images.removeFailed': 'Failed to remove image',
+
+    'admin.import.title': 'Import Products',
+    'admin.import.help': 'Upload a CSV or JSON file laid out like an export. Rows with an id or a known SKU update that product; other rows create new products. Nothing is imported until every row is valid.',
+    'admin.import.button': 'Import',
+    'admin.import.checking': 'Checking file...',
+    'admin.import.unreadable': 'Could not read that file',
+    'admin.import.confirm': { one: 'Import {count} product', other: 'Import {count} products' },
+    'admin.import.summary': '{create} to create, {update} to update',
+    'admin.import.withErrors': '{count} with errors',
+    'admin.import.fixErrors': 'fix them and choose the file again',
+    'admin.import.row': 'Row',
+    'admin.import.action': 'Action',
+    'admin.import.product': 'Product',
+    'admin.import.problems': 'Problems',
+    'admin.import.create': 'Create',
+    'admin.import.update': 'Update {id}',
+    'admin.import.done': 'Import done: {created} created, {updated} updated',
+    'admin.import.failed': 'Failed to import products',
+    'admin.import.exportFailed': 'Failed to export products',
+
+    'admin.coupons.title': 'Coupons',
+    'admin.coupons.code': 'Code',
+    'admin.coupons.type': 'Type',
+    'admin.coupons.typePercentage': 'Percentage off',
+    'admin.coupons.typeFixed': 'Fixed amount off',
+    'admin.coupons.typeFreeShipping': 'Free shipping',
+    'admin.coupons.value': 'Value',
+    'admin.coupons.minSubtotal': 'Minimum Subtotal',
+    'admin.coupons.categories': 'Categories (comma separated)',
+    'admin.coupons.allCategories': 'All categories',
+    'admin.coupons.expiresLabel': 'Expires',
+    'admin.coupons.usageLimit': 'Usage Limit',
+    'admin.coupons.create': 'Create Coupon',
+    'admin.coupons.discount': 'Discount',
+    'admin.coupons.conditions': 'Conditions',
+    'admin.coupons.used': 'Used',
+    'admin.coupons.empty': 'No coupons yet',
+    'admin.coupons.percentOff': '{value}% off',
+    'admin.coupons.amountOff': '{amount} off',
+    'admin.coupons.freeShipping': 'Free shipping',
+    'admin.coupons.minimum': 'Min {amount}',
+    'admin.coupons.expires': 'Expires {date}',
+    'admin.coupons.noConditions': 'None',
+    'admin.coupons.active': 'Active',
+    'admin.coupons.inactive': 'Inactive',
+    'admin.coupons.activate': 'Activate',
+    'admin.coupons.deactivate': 'Deactivate',
+    'admin.coupons.created': 'Coupon created',
+    'admin.coupons.updated': 'Coupon updated',
+    'admin.coupons.saveFailed': 'Failed to save coupon',
+    'admin.coupons.deleted': 'Coupon deleted',
+    'admin.coupons.deleteFailed': 'Failed to delete coupon',
+    'admin.coupons.confirmDelete': 'Are you sure you want to delete this coupon?',
+
+    'admin.reviews.title': 'Moderate Reviews',
+    'admin.reviews.product': 'Product',
+    'admin.reviews.author': 'Author',
+    'admin.reviews.rating': 'Rating',
+    'admin.reviews.review': 'Review',
+    'admin.reviews.empty': 'No reviews yet',
+    'admin.reviews.deletedProduct': 'Deleted product',
+    'admin.reviews.hidden': 'Hidden',
+    'admin.reviews.visible': 'Visible',
+    'admin.reviews.show': 'Show',
+    'admin.reviews.hide': 'Hide',
+    'admin.reviews.hiddenToast': 'Review hidden',
+    'admin.reviews.visibleToast': 'Review visible again',
+    'admin.reviews.updateFailed': 'Failed to update review',
+    'admin.reviews.deleted': 'Review deleted',
+    'admin.reviews.deleteFailed': 'Failed to delete review',
+    'admin.reviews.confirmDelete': 'Are you sure you want to delete this review?',
+
+    'admin.activity.everything': 'Everything',
+    'admin.activity.products': 'Products',
+    'admin.activity.accounts': 'Accounts',
+    'admin.activity.changedBy': 'Changed by',
+    'admin.activity.from': 'From',
+    'admin.activity.to': 'To',
+    'admin.activity.clear': 'Clear',
+    'admin.activity.when': 'When',
+    'admin.activity.who': 'Who',
+    'admin.activity.action': 'Action',
+    'admin.activity.item': 'Item',
+    'admin.activity.changes': 'Changes',
+    'admin.activity.empty': 'No activity matches these filters',
+    'admin.activity.fields': { one: '{count} field', other: '{count} fields' },
+    'admin.activity.none': 'none',
+    'admin.activity.changed': 'changed',
+    'admin.activity.system': 'System',
+    'admin.activity.loadFailed': 'Failed to load activity'
+});
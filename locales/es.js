@@ -0,0 +1,383 @@
+// Spanish
+defineMessages('es', 'Español', {
+    'meta.title': 'TechMart - Tu tienda de tecnología',
+
+    'common.apply': 'Aplicar',
+    'common.cancel': 'Cancelar',
+    'common.delete': 'Eliminar',
+    'common.edit': 'Editar',
+    'common.remove': 'Quitar',
+    'common.shopNow': 'Ir a la tienda',
+
+    'pagination.previous': 'Anterior',
+    'pagination.next': 'Siguiente',
+    'pagination.pageOf': 'Página {page} de {total}',
+
+    // Navigation
+    'nav.home': 'Inicio',
+    'nav.orders': 'Mis pedidos',
+    'nav.admin': 'Administración',
+    'nav.language': 'Idioma',
+    'nav.currency': 'Moneda',
+    'nav.login': 'Iniciar sesión',
+    'nav.signup': 'Registrarse',
+    'nav.logout': 'Cerrar sesión',
+
+    'verify.banner': 'Verifica tu dirección de correo: te enviamos un enlace a',
+    'verify.resend': 'Reenviar correo',
+
+    // Home page
+    'filters.title': 'Filtros',
+    'filters.clearAll': 'Borrar todo',
+    'filters.search': 'Buscar productos',
+    'filters.searchPlaceholder': 'Buscar productos...',
+    'filters.categories': 'Categorías',
+    'filters.priceRange': 'Rango de precios',
+    'filters.rating': 'Valoración de clientes',
+    'filters.anyRating': 'Cualquier valoración',
+    'filters.ratingAndUp': '{rating}★ o más',
+    'filters.availability': 'Disponibilidad',
+    'filters.inStockOnly': 'Solo con existencias',
+    'filters.featuredOnly': 'Solo destacados',
+    'filters.products': { one: '{count} producto', other: '{count} productos' },
+
+    'sort.relevance': 'Más relevantes',
+    'sort.nameAsc': 'Nombre A-Z',
+    'sort.nameDesc': 'Nombre Z-A',
+    'sort.priceAsc': 'Precio: menor a mayor',
+    'sort.priceDesc': 'Precio: mayor a menor',
+    'sort.rating': 'Mejor valorados',
+
+    'products.allTitle': 'Todos los productos',
+    'products.loadFailed': 'No se pudieron cargar los productos',
+    'products.emptyTitle': 'No se encontraron productos',
+    'products.emptyText': 'Prueba a cambiar los filtros o los términos de búsqueda.',
+    'products.featured': 'Destacado',
+    'products.rating': { one: '{rating} ({count} reseña)', other: '{rating} ({count} reseñas)' },
+    'products.noReviews': 'Aún no hay reseñas',
+    'products.addToCart': 'Añadir al carrito',
+    'products.combinationUnavailable': 'No disponible en esta combinación',
+    'products.inStock': 'En existencias',
+    'products.outOfStock': 'Agotado',
+    'products.onlyLeft': { one: 'Solo queda {count}', other: 'Solo quedan {count}' },
+
+    // Product page
+    'product.back': '← Volver a los productos',
+    'product.loading': 'Cargando producto...',
+    'product.notFoundTitle': 'Producto no encontrado',
+    'product.notFoundText': 'Puede que se haya retirado o que el enlace sea incorrecto.',
+    'product.browse': 'Ver productos',
+    'product.loadFailedTitle': 'No se pudo cargar este producto',
+    'product.tryAgain': 'Vuelve a intentarlo en un momento.',
+    'product.quantity': 'Cantidad',
+    'product.quantityInvalid': 'Introduce una cantidad de 1 o más',
+    'product.customerReviews': 'Reseñas de clientes',
+
+    // Sign in, sign up and passwords
+    'auth.loginTitle': 'Hola de nuevo',
+    'auth.loginSubtitle': 'Inicia sesión en tu cuenta',
+    'auth.email': 'Correo electrónico',
+    'auth.password': 'Contraseña',
+    'auth.signIn': 'Iniciar sesión',
+    'auth.forgotLink': '¿Olvidaste tu contraseña?',
+    'auth.noAccount': '¿No tienes cuenta?',
+    'auth.signUpLink': 'Regístrate',
+    'auth.demoAccounts': 'Cuentas de prueba:',
+    'auth.signupTitle': 'Crear cuenta',
+    'auth.signupSubtitle': 'Únete hoy a TechMart',
+    'auth.firstName': 'Nombre',
+    'auth.lastName': 'Apellidos',
+    'auth.confirmPassword': 'Confirmar contraseña',
+    'auth.haveAccount': '¿Ya tienes cuenta?',
+    'auth.signInLink': 'Inicia sesión',
+    'auth.forgotTitle': 'Contraseña olvidada',
+    'auth.forgotSubtitle': 'Te enviaremos un enlace para restablecerla',
+    'auth.sendResetLink': 'Enviar enlace',
+    'auth.remembered': '¿Ya la recuerdas?',
+    'auth.resetTitle': 'Elige una contraseña nueva',
+    'auth.resetSubtitle': 'Se cerrará tu sesión en todos los dispositivos',
+    'auth.newPassword': 'Contraseña nueva',
+    'auth.resetPassword': 'Restablecer contraseña',
+    'auth.passwordMismatch': 'Las contraseñas no coinciden',
+    'auth.sessionExpired': 'Tu sesión ha caducado, vuelve a iniciar sesión',
+    'auth.loginSuccess': '¡Has iniciado sesión!',
+    'auth.loginFailed': 'No se pudo iniciar sesión',
+    'auth.accountCreated': '¡Cuenta creada! Revisa tu correo para verificar tu dirección.',
+    'auth.registerFailed': 'No se pudo completar el registro',
+    'auth.emailVerified': '¡Gracias, tu correo está verificado!',
+    'auth.verifyFailed': 'No se pudo verificar el correo',
+    'auth.verificationSent': 'Correo de verificación enviado a {email}',
+    'auth.verificationFailed': 'No se pudo enviar el correo de verificación',
+    'auth.resetLinkSent': 'Si existe una cuenta con ese correo, recibirás un enlace para restablecer la contraseña',
+    'auth.resetLinkFailed': 'No se pudo enviar el enlace',
+    'auth.passwordUpdated': 'Contraseña actualizada, ya puedes iniciar sesión',
+    'auth.resetFailed': 'No se pudo restablecer la contraseña',
+    'auth.loggedOut': 'Has cerrado sesión',
+
+    // Cart
+    'cart.title': 'Carrito',
+    'cart.summaryTitle': 'Resumen del pedido',
+    'cart.shipTo': 'Enviar a',
+    'cart.subtotal': 'Subtotal:',
+    'cart.discount': 'Descuento',
+    'cart.shipping': 'Envío:',
+    'cart.tax': 'Impuestos',
+    'cart.total': 'Total:',
+    'cart.free': 'Gratis',
+    'cart.freeShippingNote': 'Añade {amount} más para tener envío gratis',
+    'cart.couponPlaceholder': 'Código de cupón',
+    'cart.couponFreeShipping': '{code}: envío gratis',
+    'cart.couponAppliedLabel': '{code} aplicado',
+    'cart.checkout': 'Tramitar pedido',
+    'cart.continueShopping': 'Seguir comprando',
+    'cart.emptyTitle': 'Tu carrito está vacío',
+    'cart.emptyText': '¡Añade algunos productos para empezar!',
+    'cart.noMoreStock': 'No hay más existencias',
+    'cart.thisProduct': 'Este producto',
+    'cart.onlyLeftOf': { one: 'Solo queda {count} de {name}', other: 'Solo quedan {count} de {name}' },
+    'cart.outOfStock': '{name} está agotado',
+    'cart.added': '¡{name} añadido al carrito!',
+    'cart.addFailed': 'No se pudo añadir al carrito',
+    'cart.removed': '{name} se quitó del carrito',
+    'cart.removeFailed': 'No se pudo quitar del carrito',
+    'cart.updateFailed': 'No se pudo actualizar la cantidad',
+    'cart.regionFailed': 'No se pudo cambiar la región de envío',
+    'cart.couponApplied': '¡Cupón {code} aplicado!',
+    'cart.couponFailed': 'No se pudo aplicar el cupón',
+    'cart.couponRemoveFailed': 'No se pudo quitar el cupón',
+    'cart.loginToCheckout': 'Inicia sesión para tramitar el pedido',
+    'cart.verifyToCheckout': 'Verifica tu dirección de correo antes de tramitar el pedido',
+    'cart.pendingNote': 'Los totales se actualizarán cuando tus cambios lleguen a la tienda',
+    'cart.priceChanged': 'El precio cambió de {from} a {to}',
+    'cart.priceChangedToast': 'El precio de {name} en tu carrito ahora es {price}',
+
+    // Guest cart merged on sign in
+    'cartMerge.added': {
+        one: 'Se añadió a tu carrito {count} artículo de antes de iniciar sesión',
+        other: 'Se añadieron a tu carrito {count} artículos de antes de iniciar sesión'
+    },
+    'cartMerge.limited': 'solo se pudieron conservar {count} de {name}',
+    'cartMerge.dropped.UNAVAILABLE': '{name} ya no está disponible',
+    'cartMerge.dropped.OUT_OF_STOCK': '{name} está agotado',
+    'cartMerge.notKept': 'No se pudo conservar parte de tu carrito: {notes}',
+
+    // Requests to the store
+    'api.failed': 'Algo salió mal. Inténtalo de nuevo.',
+    'api.timeout': 'La tienda está tardando demasiado en responder. Inténtalo de nuevo.',
+    'api.cancelled': 'Solicitud cancelada',
+
+    // Offline
+    'offline.banner': 'Estás sin conexión. Se muestran los productos de tu última visita; los cambios del carrito se enviarán cuando vuelvas a conectarte.',
+    'offline.unreachable': 'No se puede conectar con la tienda. Comprueba tu conexión.',
+    'offline.productsNotUpdated': 'Estás sin conexión, así que no se pudo actualizar la lista de productos',
+    'offline.cartQueued': 'Estás sin conexión: {name} se actualizará en tu carrito cuando vuelvas a conectarte',
+    'offline.cartSynced': {
+        one: 'Se guardó {count} cambio del carrito hecho sin conexión',
+        other: 'Se guardaron {count} cambios del carrito hechos sin conexión'
+    },
+    'offline.cartConflicts': {
+        one: 'No se pudo guardar un cambio del carrito hecho sin conexión: {notes}',
+        other: 'No se pudieron guardar {count} cambios del carrito hechos sin conexión: {notes}'
+    },
+    'offline.conflict.add': 'añadir {name} ({reason})',
+    'offline.conflict.update': 'cambiar la cantidad de {name} ({reason})',
+    'offline.conflict.remove': 'quitar {name} ({reason})',
+
+    // Orders
+    'orders.title': 'Pedido n.º {id}',
+    'orders.status.placed': 'realizado',
+    'orders.discount': 'Descuento ({code}):',
+    'orders.tax': 'Impuestos:',
+    'orders.emptyTitle': 'Aún no tienes pedidos',
+    'orders.emptyText': 'Los pedidos que hagas aparecerán aquí.',
+    'orders.placed': '¡Pedido n.º {id} realizado!',
+    'orders.placeFailed': 'No se pudo realizar el pedido',
+
+    // Reviews
+    'reviews.title': 'Reseñas',
+    'reviews.titleFor': 'Reseñas: {name}',
+    'reviews.summary': { one: '{rating} de 5 según {count} reseña', other: '{rating} de 5 según {count} reseñas' },
+    'reviews.beFirst': 'Aún no hay reseñas. ¡Escribe la primera!',
+    'reviews.yourRating': 'Tu valoración',
+    'reviews.rating5': '★★★★★ - Excelente',
+    'reviews.rating4': '★★★★☆ - Bueno',
+    'reviews.rating3': '★★★☆☆ - Normal',
+    'reviews.rating2': '★★☆☆☆ - Malo',
+    'reviews.rating1': '★☆☆☆☆ - Pésimo',
+    'reviews.yourReview': 'Tu reseña',
+    'reviews.submit': 'Enviar reseña',
+    'reviews.loginToWrite': 'para escribir una reseña.',
+    'reviews.loadFailed': 'No se pudieron cargar las reseñas',
+    'reviews.thanks': '¡Gracias por tu reseña!',
+    'reviews.submitFailed': 'No se pudo enviar la reseña',
+
+    // Admin dashboard
+    'admin.title': 'Panel de administración',
+    'admin.exportCsv': 'Exportar CSV',
+    'admin.exportJson': 'Exportar JSON',
+    'admin.addProduct': 'Añadir producto',
+    'admin.tabs.catalog': 'Catálogo',
+    'admin.tabs.activity': 'Actividad',
+
+    'admin.table.id': 'ID',
+    'admin.table.name': 'Nombre',
+    'admin.table.category': 'Categoría',
+    'admin.table.price': 'Precio',
+    'admin.table.stock': 'Existencias',
+    'admin.table.status': 'Estado',
+    'admin.table.actions': 'Acciones',
+
+    'admin.stats.totalProducts': 'Productos',
+    'admin.stats.inventoryValue': 'Valor del inventario',
+    'admin.stats.lowOnStock': 'Pocas existencias',
+    'admin.stats.outOfStockTitle': 'Agotados',
+    'admin.stats.activeCarts': 'Carritos activos',
+    'admin.stats.itemsInCarts': 'Artículos en carritos',
+    'admin.stats.valueByCategory': 'Valor del inventario por categoría',
+    'admin.stats.stockHealth': 'Estado de las existencias',
+    'admin.stats.runningLow': 'Se están agotando',
+    'admin.stats.categoryProducts': { one: '{count} producto', other: '{count} productos' },
+    'admin.stats.categoryUnits': { one: '{count} unidad', other: '{count} unidades' },
+    'admin.stats.noProducts': 'Aún no hay productos',
+    'admin.stats.inStock': 'En existencias',
+    'admin.stats.low': 'Pocas ({count} o menos)',
+    'admin.stats.outOfStock': 'Agotados',
+    'admin.stats.out': 'Agotado',
+    'admin.stats.left': { one: 'Queda {count}', other: 'Quedan {count}' },
+    'admin.stats.wellStocked': 'Hay existencias de todo',
+
+    'admin.products.title': 'Gestionar productos',
+    'admin.products.added': '¡Producto añadido!',
+    'admin.products.addFailed': 'No se pudo añadir el producto',
+    'admin.products.updated': '¡Producto actualizado!',
+    'admin.products.updateFailed': 'No se pudo actualizar el producto',
+    'admin.products.deleted': '¡Producto eliminado!',
+    'admin.products.deleteFailed': 'No se pudo eliminar el producto',
+    'admin.products.loadFailed': 'No se pudo cargar el producto',
+    'admin.products.confirmDelete': '¿Seguro que quieres eliminar este producto?',
+
+    'admin.productForm.addTitle': 'Añadir producto',
+    'admin.productForm.editTitle': 'Editar producto',
+    'admin.productForm.name': 'Nombre del producto',
+    'admin.productForm.selectCategory': 'Elige una categoría',
+    'admin.productForm.description': 'Descripción',
+    'admin.productForm.translation': 'En {language}',
+    'admin.productForm.stock': 'Existencias',
+    'admin.productForm.sku': 'SKU',
+    'admin.productForm.optional': 'Opcional',
+    'admin.productForm.options': 'Opciones',
+    'admin.productForm.optionsHelp': 'Una opción por línea. Déjalo vacío si el producto solo tiene una versión.',
+    'admin.productForm.variants': 'Variantes',
+    'admin.productForm.generateVariants': 'Generar a partir de las opciones',
+    'admin.productForm.noVariants': 'Sin variantes: este producto se vende como un único artículo.',
+    'admin.productForm.variant': 'Variante',
+    'admin.productForm.samePrice': 'Igual',
+    'admin.productForm.images': 'Imágenes',
+    'admin.productForm.upload': 'Subir',
+    'admin.productForm.save': 'Guardar producto',
+
+    'admin.images.saveFirst': 'Guarda primero el producto y después edítalo para añadir imágenes.',
+    'admin.images.primaryHelp': 'La primera imagen se muestra en las fichas de producto y en el carrito.',
+    'admin.images.none': 'Aún no hay imágenes: se muestra el icono del producto.',
+    'admin.images.primary': 'Principal',
+    'admin.images.moveEarlier': 'Mover antes',
+    'admin.images.moveLater': 'Mover después',
+    'admin.images.remove': 'Quitar imagen',
+    'admin.images.chooseFile': 'Elige una imagen para subir',
+    'admin.images.confirmRemove': '¿Quitar esta imagen?',
+    'admin.images.uploaded': 'Imagen subida',
+    'admin.images.uploadFailed': 'No se pudo subir la imagen',
+    'admin.images.reorderFailed': 'No se pudieron reordenar las imágenes',
+    'admin.images.removed': 'Imagen quitada',
+    'admin.images.removeFailed': 'No se pudo quitar la imagen',
+
+    'admin.import.title': 'Importar productos',
+    'admin.import.help': 'Sube un archivo CSV o JSON con el mismo formato que una exportación. Las filas con un id o un SKU conocido actualizan ese producto; el resto crea productos nuevos. No se importa nada hasta que todas las filas son válidas.',
+    'admin.import.button': 'Importar',
+    'admin.import.checking': 'Comprobando el archivo...',
+    'admin.import.unreadable': 'No se pudo leer ese archivo',
+    'admin.import.confirm': { one: 'Importar {count} producto', other: 'Importar {count} productos' },
+    'admin.import.summary': '{create} para crear, {update} para actualizar',
+    'admin.import.withErrors': '{count} con errores',
+    'admin.import.fixErrors': 'corrígelos y vuelve a elegir el archivo',
+    'admin.import.row': 'Fila',
+    'admin.import.action': 'Acción',
+    'admin.import.product': 'Producto',
+    'admin.import.problems': 'Problemas',
+    'admin.import.create': 'Crear',
+    'admin.import.update': 'Actualizar {id}',
+    'admin.import.done': 'Importación terminada: {created} creados, {updated} actualizados',
+    'admin.import.failed': 'No se pudieron importar los productos',
+    'admin.import.exportFailed': 'No se pudieron exportar los productos',
+
+    'admin.coupons.title': 'Cupones',
+    'admin.coupons.code': 'Código',
+    'admin.coupons.type': 'Tipo',
+    'admin.coupons.typePercentage': 'Porcentaje de descuento',
+    'admin.coupons.typeFixed': 'Importe fijo de descuento',
+    'admin.coupons.typeFreeShipping': 'Envío gratis',
+    'admin.coupons.value': 'Valor',
+    'admin.coupons.minSubtotal': 'Subtotal mínimo',
+    'admin.coupons.categories': 'Categorías (separadas por comas)',
+    'admin.coupons.allCategories': 'Todas las categorías',
+    'admin.coupons.expiresLabel': 'Caduca',
+    'admin.coupons.usageLimit': 'Límite de usos',
+    'admin.coupons.create': 'Crear cupón',
+    'admin.coupons.discount': 'Descuento',
+    'admin.coupons.conditions': 'Condiciones',
+    'admin.coupons.used': 'Usos',
+    'admin.coupons.empty': 'Aún no hay cupones',
+    'admin.coupons.percentOff': '{value} % de descuento',
+    'admin.coupons.amountOff': '{amount} de descuento',
+    'admin.coupons.freeShipping': 'Envío gratis',
+    'admin.coupons.minimum': 'Mínimo {amount}',
+    'admin.coupons.expires': 'Caduca el {date}',
+    'admin.coupons.noConditions': 'Ninguna',
+    'admin.coupons.active': 'Activo',
+    'admin.coupons.inactive': 'Inactivo',
+    'admin.coupons.activate': 'Activar',
+    'admin.coupons.deactivate': 'Desactivar',
+    'admin.coupons.created': 'Cupón creado',
+    'admin.coupons.updated': 'Cupón actualizado',
+    'admin.coupons.saveFailed': 'No se pudo guardar el cupón',
+    'admin.coupons.deleted': 'Cupón eliminado',
+    'admin.coupons.deleteFailed': 'No se pudo eliminar el cupón',
+    'admin.coupons.confirmDelete': '¿Seguro que quieres eliminar este cupón?',
+
+    'admin.reviews.title': 'Moderar reseñas',
+    'admin.reviews.product': 'Producto',
+    'admin.reviews.author': 'Autor',
+    'admin.reviews.rating': 'Valoración',
+    'admin.reviews.review': 'Reseña',
+    'admin.reviews.empty': 'Aún no hay reseñas',
+    'admin.reviews.deletedProduct': 'Producto eliminado',
+    'admin.reviews.hidden': 'Oculta',
+    'admin.reviews.visible': 'Visible',
+    'admin.reviews.show': 'Mostrar',
+    'admin.reviews.hide': 'Ocultar',
+    'admin.reviews.hiddenToast': 'Reseña ocultada',
+    'admin.reviews.visibleToast': 'La reseña vuelve a estar visible',
+    'admin.reviews.updateFailed': 'No se pudo actualizar la reseña',
+    'admin.reviews.deleted': 'Reseña eliminada',
+    'admin.reviews.deleteFailed': 'No se pudo eliminar la reseña',
+    'admin.reviews.confirmDelete': '¿Seguro que quieres eliminar esta reseña?',
+
+    'admin.activity.everything': 'Todo',
+    'admin.activity.products': 'Productos',
+    'admin.activity.accounts': 'Cuentas',
+    'admin.activity.changedBy': 'Cambiado por',
+    'admin.activity.from': 'Desde',
+    'admin.activity.to': 'Hasta',
+    'admin.activity.clear': 'Borrar',
+    'admin.activity.when': 'Cuándo',
+    'admin.activity.who': 'Quién',
+    'admin.activity.action': 'Acción',
+    'admin.activity.item': 'Elemento',
+    'admin.activity.changes': 'Cambios',
+    'admin.activity.empty': 'Ninguna actividad coincide con estos filtros',
+    'admin.activity.fields': { one: '{count} campo', other: '{count} campos' },
+    'admin.activity.none': 'nada',
+    'admin.activity.changed': 'cambiado',
+    'admin.activity.system': 'Sistema',
+    'admin.activity.loadFailed': 'No se pudo cargar la actividad'
+});
@@ -0,0 +1,128 @@
+// TechMart service worker
+// Keeps the storefront usable without a connection. The app shell is cached on install,
+// and API reads the store can be browsed with - the product listing, categories,
+// currencies - are saved each time they load. Everything is still fetched from the
+// network first, so new code and prices show up straight away; the caches are only
+// used when the network can't be reached.
+//
+// Responses served from the cache carry an `X-Served-From: cache` header so the app
+// knows it is showing saved data.
+
+const SHELL_CACHE = 'techmart-shell-v1';
+const DATA_CACHE = 'techmart-data-v1';
+const IMAGE_CACHE = 'techmart-images-v1';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'i18n.js',
+    'locales/en.js',
+    'locales/es.js',
+    'app.js'
+];
+
+// Only the last product listing is kept, whatever filters it was loaded with, so
+// offline shoppers see the products from their last visit
+const LISTING_PATH = '/api/products';
+const LISTING_KEY = 'last-product-listing';
+// Other API reads saved per URL
+const CACHED_API_PATHS = ['/api/products/categories', '/api/currencies', '/api/locales', '/api/pricing/regions'];
+
+// Uploaded product images never change at a given URL, so they are served from the
+// cache when present; only the most recent ones are kept
+const IMAGE_PATH = '/uploads/';
+const MAX_IMAGES = 200;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches left by older versions of this worker
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('techmart-') && !current.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// A copy of a cached response marked as coming from the cache. The header is exposed
+// because API responses come from another origin.
+const markCached = async (response) => {
+    const headers = new Headers(response.headers);
+    headers.set('X-Served-From', 'cache');
+    headers.set('Access-Control-Expose-Headers', 'X-Served-From');
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+};
+
+// Fetches `request` and saves good responses under `key`; offline, answers from the cache
+const networkFirst = async (request, cacheName, key = request) => {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(key, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return markCached(cached);
+        throw error;
+    }
+};
+
+const trimCache = async (cacheName, maxEntries) => {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    // Keys come back oldest first
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+const cacheFirst = async (request, cacheName) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Images from the API server load without CORS, so their responses are opaque
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(cacheName, MAX_IMAGES);
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.pathname === LISTING_PATH) {
+        event.respondWith(networkFirst(request, DATA_CACHE, LISTING_KEY));
+    } else if (CACHED_API_PATHS.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (url.pathname.startsWith(IMAGE_PATH)) {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE));
+    } else if (request.mode === 'navigate') {
+        // Every page of the app is index.html, including history-mode URLs like /cart
+        event.respondWith(fetch(request).catch(async () => {
+            const cache = await caches.open(SHELL_CACHE);
+            return (await cache.match('index.html')) || Response.error();
+        }));
+    } else if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});